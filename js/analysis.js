@@ -0,0 +1,171 @@
+/* ============================================================
+   analysis.js — Gaze Analysis Page Controller
+   ============================================================
+   Wires analysis.html to gazeviz.js:
+   1. Loads an exported session (.zip or data.json)
+   2. Renders one figure per trial: final drawing + heatmap +
+      scanpath, with a few summary numbers
+   3. Saves each figure (or all of them, zipped) as PNG
+
+   Everything runs locally in the browser; no data leaves the page.
+   ============================================================ */
+
+import { loadSessionFiles } from './sessionfile.js';
+import { renderTrialFigure } from './gazeviz.js';
+
+// ---- STATE ----
+let session = null;        // { name, sessionData, trialPNGs }
+let pngImages = [];        // trialPNGs decoded to <img> (null where missing)
+let figures = [];          // { trial, canvas } per rendered trial
+
+/* ==============================================================
+   DOM REFERENCES
+   ============================================================== */
+const $ = (sel) => document.querySelector(sel);
+
+const elements = {
+  file: $('#analysis-file'),
+  heatmap: $('#analysis-heatmap'),
+  scanpath: $('#analysis-scanpath'),
+  sigma: $('#analysis-sigma'),
+  downloadAll: $('#analysis-download-all'),
+  info: $('#analysis-info'),
+  error: $('#analysis-error'),
+  trials: $('#analysis-trials'),
+};
+
+function loadImage(dataURL) {
+  if (!dataURL) return Promise.resolve(null);
+  return new Promise((resolve) => {
+    const img = new Image();
+    img.onload = () => resolve(img);
+    img.onerror = () => resolve(null);   // fall back to re-rendered strokes
+    img.src = dataURL;
+  });
+}
+
+function figureFilename(trial) {
+  const participant = session.sessionData.participantId || 'session';
+  return `${participant}_trial${trial.trialNumber}_gaze.png`;
+}
+
+function downloadBlob(blob, filename) {
+  const url = URL.createObjectURL(blob);
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = filename;
+  document.body.appendChild(link);
+  link.click();
+  document.body.removeChild(link);
+  URL.revokeObjectURL(url);
+}
+
+const canvasToBlob = (canvas) => new Promise(resolve => canvas.toBlob(resolve, 'image/png'));
+
+/* ==============================================================
+   LOADING
+   ============================================================== */
+async function onFilesChosen() {
+  const files = elements.file.files;
+  if (!files || files.length === 0) return;
+  elements.error.textContent = '';
+
+  try {
+    session = await loadSessionFiles(files);
+  } catch (err) {
+    console.error('Could not load session:', err);
+    elements.error.textContent = err.message;
+    return;
+  }
+
+  pngImages = await Promise.all(session.trialPNGs.map(loadImage));
+  const { sessionData } = session;
+  elements.info.textContent =
+    `${sessionData.participantId || 'unknown participant'} · ${sessionData.trials.length} trials`;
+  elements.downloadAll.disabled = sessionData.trials.length === 0;
+  renderAll();
+}
+
+/* ==============================================================
+   RENDERING
+   ============================================================== */
+function renderAll() {
+  if (!session) return;
+  elements.trials.innerHTML = '';
+  figures = [];
+
+  session.sessionData.trials.forEach((trial, i) => {
+    const card = document.createElement('div');
+    card.className = 'welcome-card analysis-card';
+
+    const title = document.createElement('h2');
+    title.textContent = `Trial ${trial.trialNumber}${trial.trialId ? ` — ${trial.trialId}` : ''}`;
+
+    const canvas = document.createElement('canvas');
+    const { samplesOnCanvas, fixations } = renderTrialFigure(canvas, session.sessionData, trial, {
+      png: pngImages[i],
+      heatmap: elements.heatmap.checked,
+      scanpath: elements.scanpath.checked,
+      heatmapOptions: { sigmaPx: parseFloat(elements.sigma.value) }
+    });
+
+    const stats = document.createElement('p');
+    stats.className = 'helper-text';
+    const total = trial.gazeData.length;
+    const onCanvas = total ? Math.round(samplesOnCanvas / total * 100) : 0;
+    const meanFix = fixations.length
+      ? Math.round(fixations.reduce((s, f) => s + f.duration, 0) / fixations.length)
+      : 0;
+    const algorithm = trial.fixationDetection ? trial.fixationDetection.algorithm : 'idt';
+    stats.textContent = `${total} gaze samples (${onCanvas}% on canvas) · ` +
+      `${fixations.length} fixations (${algorithm === 'ivt' ? 'I-VT' : 'I-DT'}), mean ${meanFix} ms` +
+      (pngImages[i] ? '' : ' · drawing re-rendered from strokes (no PNG)');
+
+    const download = document.createElement('button');
+    download.className = 'btn btn-secondary';
+    download.textContent = 'Download PNG';
+    download.addEventListener('click', async () => {
+      downloadBlob(await canvasToBlob(canvas), figureFilename(trial));
+    });
+
+    card.append(title, canvas, stats, download);
+    elements.trials.appendChild(card);
+    figures.push({ trial, canvas });
+  });
+}
+
+async function downloadAll() {
+  if (typeof JSZip === 'undefined') {
+    // One file at a time, spaced out (browsers block rapid downloads)
+    for (const { trial, canvas } of figures) {
+      downloadBlob(await canvasToBlob(canvas), figureFilename(trial));
+      await new Promise(r => setTimeout(r, 400));
+    }
+    return;
+  }
+
+  const zip = new JSZip();
+  for (const { trial, canvas } of figures) {
+    zip.file(figureFilename(trial), await canvasToBlob(canvas));
+  }
+  const participant = session.sessionData.participantId || 'session';
+  downloadBlob(await zip.generateAsync({ type: 'blob' }), `${participant}_gaze_figures.zip`);
+}
+
+/* ==============================================================
+   INITIALIZATION
+   ============================================================== */
+function init() {
+  elements.file.addEventListener('change', onFilesChosen);
+  elements.heatmap.addEventListener('change', renderAll);
+  elements.scanpath.addEventListener('change', renderAll);
+  elements.sigma.addEventListener('change', renderAll);
+  elements.downloadAll.addEventListener('click', downloadAll);
+}
+
+// Start the page when DOM is ready
+if (document.readyState === 'loading') {
+  document.addEventListener('DOMContentLoaded', init);
+} else {
+  init();
+}
@@ -8,18 +8,25 @@
    4. Wires up all UI button events
    
    FLOW:
-   Welcome Screen → Calibration → Trial 1 → Trial 2 → Trial 3 → Done
+   Welcome Screen → Calibration → Trial 1 → ... → Trial N → Done
    
-   To change the number of trials, edit TOTAL_TRIALS below.
+   The trials themselves (how many, their order, instructions,
+   time limits, toolbar contents) come from the experiment
+   definition — see experiment.js and experiment.json.
    ============================================================ */
 
 import { DataStore } from './datastore.js';
 import { DrawingEngine } from './drawing.js';
 import { EyeTracker } from './eyetracking.js';
 import { Exporter } from './exporter.js';
+import { Experiment } from './experiment.js';
+import { StimulusPresenter } from './stimulus.js';
+import { SessionStore } from './persistence.js';
+import { Uploader } from './uploader.js';
 
 // ---- CONFIGURATION ----
-const TOTAL_TRIALS = 3;   // Number of drawing trials
+// Experiment definition to load; override with ?experiment=path.json
+const DEFAULT_EXPERIMENT_URL = 'experiment.json';
 
 // ---- MODULE INSTANCES ----
 // (created after DOM is ready)
@@ -27,12 +34,20 @@ let dataStore;
 let drawing;
 let eyeTracker;
 let exporter;
+let experiment;
+let stimulus;
+let sessionStore;          // IndexedDB mirror; null if unavailable
+let uploader;
 
 // ---- STATE ----
+let trialOrder = [];       // Trial definitions in the order this participant sees them
 let currentTrialNumber = 0;
 let timerInterval = null;
 let trialStartTime = 0;
-let trialPNGs = [];        // Store each trial's final drawing as PNG data URL
+let trialPNGs = [];        // Each trial's final drawing as PNG data URL (null if interrupted)
+let uploadQueued = false;  // this session's bundle has been handed to the uploader
+let sessionBundle = null;  // Promise of the finished session's bundle, built once for download and upload
+let pendingResume = null;  // Unfinished session record offered on the welcome screen
 
 /* ==============================================================
    DOM REFERENCES
@@ -49,14 +64,44 @@ const screens = {
 
 const elements = {
   // Welcome
+  welcomeTitle: $('#welcome-title'),
+  welcomeSubtitle: $('#welcome-subtitle'),
+  welcomeTrialCount: $('#welcome-trial-count'),
   participantId: $('#participant-id'),
   btnStartCalibration: $('#btn-start-calibration'),
   welcomeError: $('#welcome-error'),
+  resumePanel: $('#resume-panel'),
+  resumeMessage: $('#resume-message'),
+  btnResume: $('#btn-resume'),
+  btnResumeExport: $('#btn-resume-export'),
+  btnResumeDiscard: $('#btn-resume-discard'),
 
   // Calibration
+  headGuide: $('#head-guide'),
+  headGuideStage: $('#head-guide-stage'),
+  headGuideFeedback: $('#head-guide-feedback'),
+  btnHeadGuideContinue: $('#btn-head-guide-continue'),
   calibrationInstruction: $('#calibration-instruction'),
+  calibrationInstructionText: $('#calibration-instruction-text'),
   btnBeginCalibration: $('#btn-begin-calibration'),
   calibrationDots: $('#calibration-dots'),
+  stylusCalibration: $('#stylus-calibration'),
+  modelReuse: $('#model-reuse'),
+  modelReuseText: $('#model-reuse-text'),
+  btnUseSavedModel: $('#btn-use-saved-model'),
+  btnNewModel: $('#btn-new-model'),
+  validationInstruction: $('#validation-instruction'),
+  btnBeginValidation: $('#btn-begin-validation'),
+  validationReport: $('#validation-report'),
+  validationTitle: $('#validation-title'),
+  validationSummary: $('#validation-summary'),
+  btnAcceptValidation: $('#btn-accept-validation'),
+  btnRecalibrate: $('#btn-recalibrate'),
+  driftInstruction: $('#drift-instruction'),
+  btnBeginDrift: $('#btn-begin-drift'),
+  driftResult: $('#drift-result'),
+  driftResultText: $('#drift-result-text'),
+  btnDriftRecalibrate: $('#btn-drift-recalibrate'),
   calibrationComplete: $('#calibration-complete'),
   btnGoToTrials: $('#btn-go-to-trials'),
 
@@ -65,13 +110,31 @@ const elements = {
   gazeDot: $('#gaze-dot'),
   trialLabel: $('#trial-label'),
   trialTimer: $('#trial-timer'),
+  trialInstructions: $('#trial-instructions'),
   trialStatus: $('#trial-status'),
+  trackingWarning: $('#tracking-warning'),
+
+  // Stimulus
+  stimulusPanel: $('#stimulus-panel'),
+  stimulusPanelPrompt: $('#stimulus-panel-prompt'),
+  stimulusPanelImage: $('#stimulus-panel-image'),
+  stimulusPromptBar: $('#stimulus-prompt-bar'),
+  stimulusUnderlay: $('#stimulus-underlay'),
+  stimulusOverlay: $('#stimulus-overlay'),
+  stimulusOverlayPrompt: $('#stimulus-overlay-prompt'),
+  stimulusOverlayImage: $('#stimulus-overlay-image'),
+  btnStimulusContinue: $('#btn-stimulus-continue'),
 
   // Tools
   toolPen: $('#tool-pen'),
   toolEraser: $('#tool-eraser'),
   toolUndo: $('#tool-undo'),
+  toolRedo: $('#tool-redo'),
   toolClear: $('#tool-clear'),
+  thicknessGroup: $('.thickness-group'),
+  thicknessOptions: $('.thickness-options'),
+  colorGroup: $('.color-group'),
+  colorOptions: $('.color-options'),
 
   // Trial controls
   btnStartTrial: $('#btn-start-trial'),
@@ -80,6 +143,11 @@ const elements = {
   // Done
   summaryStats: $('#summary-stats'),
   btnDownload: $('#btn-download'),
+  btnUpload: $('#btn-upload'),
+  exportError: $('#export-error'),
+  exportProgress: $('#export-progress'),
+  exportProgressText: $('#export-progress-text'),
+  uploadStatus: $('#upload-status'),
 };
 
 /* ==============================================================
@@ -91,19 +159,47 @@ function showScreen(name) {
   screens[name].classList.add('active');
 }
 
+/**
+ * Resolve with whichever of the given buttons is clicked first.
+ */
+function waitForClick(...buttons) {
+  return new Promise((resolve) => {
+    const handlers = buttons.map(btn => {
+      const handler = () => {
+        buttons.forEach((b, i) => b.removeEventListener('click', handlers[i]));
+        resolve(btn);
+      };
+      btn.addEventListener('click', handler);
+      return handler;
+    });
+  });
+}
+
 /* ==============================================================
    TIMER
    Shows elapsed time during a trial (MM:SS format).
+   With a time limit, shows "elapsed / limit" and ends the trial
+   automatically when the limit is reached.
    ============================================================== */
-function startTimer() {
+function formatSeconds(totalSeconds) {
+  const mins = Math.floor(totalSeconds / 60).toString().padStart(2, '0');
+  const secs = Math.floor(totalSeconds % 60).toString().padStart(2, '0');
+  return `${mins}:${secs}`;
+}
+
+function startTimer(timeLimit) {
   trialStartTime = performance.now();
-  elements.trialTimer.textContent = '00:00';
+  const suffix = timeLimit ? ` / ${formatSeconds(timeLimit)}` : '';
+  elements.trialTimer.textContent = formatSeconds(0) + suffix;
 
   timerInterval = setInterval(() => {
     const elapsed = (performance.now() - trialStartTime) / 1000;
-    const mins = Math.floor(elapsed / 60).toString().padStart(2, '0');
-    const secs = Math.floor(elapsed % 60).toString().padStart(2, '0');
-    elements.trialTimer.textContent = `${mins}:${secs}`;
+    if (timeLimit && elapsed >= timeLimit) {
+      elements.trialTimer.textContent = formatSeconds(timeLimit) + suffix;
+      onEndTrial('timeout');
+      return;
+    }
+    elements.trialTimer.textContent = formatSeconds(elapsed) + suffix;
   }, 500);
 }
 
@@ -114,55 +210,131 @@ function stopTimer() {
   }
 }
 
+/* ==============================================================
+   TRACKING WARNING
+   Tells the experimenter when the eye tracker has lost the
+   participant for a few seconds (see EyeTracker.onTrackingChange).
+   ============================================================== */
+const TRACKING_WARNINGS = {
+  noFace: 'Face not detected — ask the participant to face the camera.',
+  eyesInvalid: 'Eyes not visible — the participant may be looking down or away.',
+  noPrediction: 'Eye tracker is not producing gaze predictions.',
+  noFrames: 'Camera has stopped sending frames.'
+};
+
+function showTrackingWarning(lost, reason) {
+  elements.trackingWarning.textContent = lost ? (TRACKING_WARNINGS[reason] || 'Eye tracking lost.') : '';
+  elements.trackingWarning.classList.toggle('visible', lost);
+}
+
 /* ==============================================================
    TRIAL LIFECYCLE
    ============================================================== */
 
-function onStartTrial() {
+/**
+ * Show the upcoming trial's label, instructions and toolbar
+ * before the participant presses Start.
+ * @param {number} trialNumber - 1-indexed position in trialOrder
+ */
+function prepareTrial(trialNumber) {
+  const trial = trialOrder[trialNumber - 1];
+  elements.trialLabel.textContent = `Trial ${trialNumber} of ${trialOrder.length}`;
+  elements.trialInstructions.textContent = trial.instructions;
+  elements.trialTimer.textContent = formatSeconds(0) +
+    (trial.timeLimit ? ` / ${formatSeconds(trial.timeLimit)}` : '');
+  configureToolbar(trial);
+}
+
+async function onStartTrial() {
+  if (currentTrialNumber >= trialOrder.length) return;
+
+  // Between-trial drift check (may recalibrate)
+  const nextTrial = trialOrder[currentTrialNumber];
+  if (nextTrial.recordGaze && eyeTracker.isInitialized &&
+      experiment.isDriftCheckDue(currentTrialNumber + 1) && !calibratedSinceLastTrial()) {
+    elements.btnStartTrial.disabled = true;
+    await runDriftCheck(currentTrialNumber + 1);
+  }
+
   currentTrialNumber++;
-  if (currentTrialNumber > TOTAL_TRIALS) return;
+  const trial = trialOrder[currentTrialNumber - 1];
 
   // Update UI
-  elements.trialLabel.textContent = `Trial ${currentTrialNumber} of ${TOTAL_TRIALS}`;
-  elements.trialStatus.textContent = 'Drawing...';
+  prepareTrial(currentTrialNumber);
   elements.btnStartTrial.disabled = true;
-  elements.btnEndTrial.disabled = false;
+  elements.btnEndTrial.disabled = true;
 
   // Reset canvas for new trial
   drawing.reset();
-  drawing.enable();
 
   // Start data recording
-  dataStore.startTrial();
+  dataStore.startTrial(trial);
+
+  // Start gaze tracking (unless this trial opts out)
+  if (trial.recordGaze && eyeTracker.isInitialized) {
+    eyeTracker.startTracking();
+  }
+
+  // Show the stimulus. Memory trials wait here until the study phase is over.
+  if (trial.stimulus?.mode === 'before') {
+    elements.trialStatus.textContent = 'Look carefully...';
+  }
+  await stimulus.begin(trial.stimulus);
+  if (StimulusPresenter.affectsLayout(trial.stimulus)) {
+    drawing.resize();
+  }
 
-  // Start gaze tracking
-  eyeTracker.startTracking();
+  // Drawing phase
+  elements.trialStatus.textContent = 'Drawing...';
+  elements.btnEndTrial.disabled = false;
+  drawing.enable();
 
-  // Start the visible timer
-  startTimer();
+  // Start the visible timer (time limits cover the drawing phase only)
+  startTimer(trial.timeLimit);
 }
 
-function onEndTrial() {
+/**
+ * @param {string} [reason] - "button" or "timeout"
+ */
+function onEndTrial(reason = 'button') {
+  if (!dataStore.isTrialActive()) return;
+
+  const trial = trialOrder[currentTrialNumber - 1];
+
   // Stop everything
   stopTimer();
   drawing.disable();
   eyeTracker.stopTracking();
-  dataStore.endTrial();
+  stimulus.end();
+  dataStore.endTrial(reason);
 
   // Save the final drawing as PNG
-  trialPNGs.push(drawing.exportPNG());
+  const png = drawing.exportPNG({ opaque: experiment.opaquePNG });
+  trialPNGs[currentTrialNumber - 1] = png;
+  if (sessionStore) {
+    sessionStore.savePNG(dataStore.getSessionData().sessionId, currentTrialNumber, png);
+  }
+
+  // Give the canvas back the space the side panel / prompt bar used
+  if (StimulusPresenter.affectsLayout(trial.stimulus)) {
+    drawing.resize();
+  }
 
   // Check if we have more trials
-  if (currentTrialNumber < TOTAL_TRIALS) {
+  if (currentTrialNumber < trialOrder.length) {
     // More trials to go
-    elements.trialStatus.textContent = `Trial ${currentTrialNumber} complete. Ready for next trial.`;
+    const prefix = reason === 'timeout' ? 'Time is up! ' : '';
+    elements.trialStatus.textContent =
+      `${prefix}Trial ${currentTrialNumber} complete. Ready for next trial.`;
     elements.btnStartTrial.disabled = false;
     elements.btnEndTrial.disabled = true;
+    prepareTrial(currentTrialNumber + 1);
   } else {
     // All trials done!
     elements.trialStatus.textContent = 'All trials complete!';
     elements.btnStartTrial.disabled = true;
     elements.btnEndTrial.disabled = true;
+    dataStore.markFinished('complete');
 
     // Shut down eye tracker
     eyeTracker.shutdown();
@@ -185,15 +357,180 @@ function showDoneScreen() {
       <div style="margin-bottom: 0.5rem;">
         <strong>Trial ${trial.trialNumber}:</strong>
         ${trial.duration}s · ${trial.strokeCount} strokes · ${trial.gazePointCount} gaze points
+        ${trial.interrupted ? ' · <em>interrupted</em>' : ''}
       </div>
     `;
   }
   elements.summaryStats.innerHTML = html;
+
+  // Send the data off the device without anyone having to remember
+  elements.btnUpload.style.display = experiment.upload ? '' : 'none';
+  if (experiment.upload && !uploadQueued) uploadSession();
+}
+
+/* ==============================================================
+   EXPORT
+   ============================================================== */
+
+/**
+ * The finished session's bundle. It's built once, with progress on
+ * the done screen, and shared by the download and the upload.
+ */
+function getSessionBundle() {
+  if (!sessionBundle) {
+    sessionBundle = exporter.buildBundle(trialPNGs, showExportProgress);
+    sessionBundle.catch(() => {
+      sessionBundle = null;  // try again on the next click
+    }).finally(() => {
+      elements.exportProgress.hidden = true;
+      elements.exportProgressText.textContent = '';
+    });
+  }
+  return sessionBundle;
+}
+
+function showExportProgress(fraction, label) {
+  elements.exportProgress.hidden = false;
+  elements.exportProgress.value = fraction;
+  elements.exportProgressText.textContent = `Preparing data… ${Math.round(fraction * 100)}% (${label})`;
+}
+
+async function downloadSession() {
+  elements.exportError.textContent = '';
+  elements.btnDownload.disabled = true;
+  try {
+    exporter.download(await getSessionBundle());
+  } catch (err) {
+    console.error('Export failed:', err);
+    elements.exportError.textContent = `Export failed: ${err.message}`;
+  } finally {
+    elements.btnDownload.disabled = false;
+  }
+}
+
+/* ==============================================================
+   UPLOAD
+   ============================================================== */
+
+/**
+ * Queue this session's bundle for upload; later clicks retry
+ * whatever is still waiting.
+ */
+async function uploadSession() {
+  if (uploadQueued) {
+    try {
+      await uploader.flush({ retryFailed: true });
+    } catch (err) {
+      console.error('Could not upload the session:', err);
+      elements.uploadStatus.textContent = `Upload failed: ${err.message}`;
+    }
+    return;
+  }
+
+  let bundle;
+  try {
+    bundle = await getSessionBundle();
+  } catch (err) {
+    console.error('Could not build the upload bundle:', err);
+    elements.uploadStatus.textContent = `Upload failed: ${err.message}`;
+    return;
+  }
+  uploadQueued = true;
+  const session = dataStore.getSessionData();
+  try {
+    await uploader.enqueue(bundle, experiment.upload, {
+      participantId: session.participantId,
+      sessionId: session.sessionId
+    });
+  } catch (err) {
+    // Queue it again on the next click (the same bundle keeps its uploadId)
+    uploadQueued = false;
+    console.error('Could not upload the session:', err);
+    elements.uploadStatus.textContent = `Upload failed: ${err.message}`;
+  }
+}
+
+/**
+ * Uploader progress, shown under the download button. Uploads left
+ * over from earlier sessions report here too.
+ */
+function showUploadStatus({ filename, state, message, progress, persistent }) {
+  const text = {
+    queued: `waiting to upload${message ? ` (${message})` : ''}`,
+    offline: 'offline — will upload when the connection is back',
+    uploading: `uploading… ${Math.round((progress ?? 0) * 100)}%`,
+    retrying: message,
+    done: 'uploaded ✓',
+    failed: `upload failed: ${message}`
+  }[state];
+  // The bundle couldn't be stored on the device: it only lives as long as this page
+  const warning = persistent || state === 'done'
+    ? ''
+    : ' — not saved on this device: it is lost if the page is reloaded, so download the data too';
+  elements.uploadStatus.textContent = `${filename}: ${text}${warning}`;
+  if (state === 'done' || state === 'failed') console.info(`[Upload] ${filename}: ${text}`);
 }
 
 /* ==============================================================
    TOOL UI WIRING
    ============================================================== */
+
+/**
+ * Rebuild the toolbar for a trial: show only the allowed tools,
+ * generate color/thickness buttons and select the trial defaults.
+ * @param {Object} trial - Normalized trial definition
+ */
+function configureToolbar(trial) {
+  // Tool buttons
+  document.querySelectorAll('.tool-btn[data-tool]').forEach(btn => {
+    const allowed = trial.tools.includes(btn.dataset.tool);
+    btn.style.display = allowed ? '' : 'none';
+  });
+  const startTool = trial.tools.includes('pen') ? 'pen' : 'eraser';
+  selectTool(startTool);
+
+  // Thickness buttons (dot size roughly tracks line width)
+  elements.thicknessOptions.innerHTML = '';
+  for (const size of trial.thicknesses) {
+    const btn = document.createElement('button');
+    btn.className = 'thickness-btn';
+    btn.dataset.size = size.value;
+    btn.title = size.label;
+    const dotSize = Math.max(4, Math.min(20, Math.round(size.value * 1.5)));
+    btn.innerHTML = `<span class="dot" style="width:${dotSize}px;height:${dotSize}px;"></span>`;
+    if (size.value === trial.defaultThickness) btn.classList.add('active');
+    elements.thicknessOptions.appendChild(btn);
+  }
+  elements.thicknessGroup.style.display = trial.thicknesses.length > 1 ? '' : 'none';
+  drawing.setThickness(trial.defaultThickness);
+
+  // Color buttons
+  elements.colorOptions.innerHTML = '';
+  for (const color of trial.colors) {
+    const btn = document.createElement('button');
+    btn.className = 'color-btn';
+    btn.dataset.color = color.value;
+    btn.title = color.label;
+    btn.style.background = color.value;
+    if (color.value === trial.defaultColor) btn.classList.add('active');
+    elements.colorOptions.appendChild(btn);
+  }
+  elements.colorGroup.style.display = trial.colors.length > 1 ? '' : 'none';
+  drawing.setColor(trial.defaultColor);
+  drawing.setTool(startTool);
+}
+
+/**
+ * Highlight the pen or eraser button.
+ */
+function selectTool(tool) {
+  document.querySelectorAll('.tool-btn[data-tool]').forEach(b => {
+    if (b.dataset.tool === 'pen' || b.dataset.tool === 'eraser') {
+      b.classList.toggle('active', b.dataset.tool === tool);
+    }
+  });
+}
+
 function setupToolbar() {
   // Tool buttons (pen, eraser)
   const toolBtns = document.querySelectorAll('.tool-btn[data-tool]');
@@ -205,129 +542,644 @@ function setupToolbar() {
         drawing.undo();
         return;
       }
+      if (tool === 'redo') {
+        drawing.redo();
+        return;
+      }
       if (tool === 'clear') {
         drawing.clearAll();
         return;
       }
 
       // Toggle active state for pen/eraser
-      toolBtns.forEach(b => {
-        if (b.dataset.tool === 'pen' || b.dataset.tool === 'eraser') {
-          b.classList.remove('active');
-        }
-      });
-      btn.classList.add('active');
+      selectTool(tool);
       drawing.setTool(tool);
     });
   });
 
-  // Thickness buttons
-  const thicknessBtns = document.querySelectorAll('.thickness-btn');
-  thicknessBtns.forEach(btn => {
-    btn.addEventListener('click', () => {
-      thicknessBtns.forEach(b => b.classList.remove('active'));
-      btn.classList.add('active');
-      drawing.setThickness(parseInt(btn.dataset.size));
-    });
+  // Thickness buttons (delegated — they are rebuilt for each trial)
+  elements.thicknessOptions.addEventListener('click', (e) => {
+    const btn = e.target.closest('.thickness-btn');
+    if (!btn) return;
+    elements.thicknessOptions.querySelectorAll('.thickness-btn')
+      .forEach(b => b.classList.remove('active'));
+    btn.classList.add('active');
+    drawing.setThickness(parseFloat(btn.dataset.size));
   });
 
-  // Color buttons
-  const colorBtns = document.querySelectorAll('.color-btn');
-  colorBtns.forEach(btn => {
-    btn.addEventListener('click', () => {
-      colorBtns.forEach(b => b.classList.remove('active'));
-      btn.classList.add('active');
-      drawing.setColor(btn.dataset.color);
-      // Also switch to pen tool
-      toolBtns.forEach(b => {
-        if (b.dataset.tool === 'pen') b.classList.add('active');
-        if (b.dataset.tool === 'eraser') b.classList.remove('active');
-      });
-    });
+  // Color buttons (delegated — they are rebuilt for each trial)
+  elements.colorOptions.addEventListener('click', (e) => {
+    const btn = e.target.closest('.color-btn');
+    if (!btn) return;
+    elements.colorOptions.querySelectorAll('.color-btn')
+      .forEach(b => b.classList.remove('active'));
+    btn.classList.add('active');
+    drawing.setColor(btn.dataset.color);
+    // Also switch to pen tool
+    selectTool('pen');
+  });
+}
+
+/**
+ * Undo/redo from the keyboard or a gesture. Only while drawing, and
+ * only if the trial offers that tool.
+ *   Ctrl/Cmd+Z         undo
+ *   Ctrl/Cmd+Shift+Z   redo (also Ctrl+Y)
+ *   three-finger tap   redo
+ */
+function runShortcut(tool) {
+  const trial = trialOrder[currentTrialNumber - 1];
+  if (!drawing.enabled || !trial || !trial.tools.includes(tool)) return;
+  if (tool === 'undo') drawing.undo();
+  if (tool === 'redo') drawing.redo();
+}
+
+function setupShortcuts() {
+  document.addEventListener('keydown', (e) => {
+    if (!(e.ctrlKey || e.metaKey) || e.target.matches('input, textarea')) return;
+    const key = e.key.toLowerCase();
+    let tool = null;
+    if (key === 'z') tool = e.shiftKey ? 'redo' : 'undo';
+    if (key === 'y' && e.ctrlKey) tool = 'redo';
+    if (!tool) return;
+
+    e.preventDefault();
+    runShortcut(tool);
   });
+
+  drawing.onThreeFingerTap = () => runShortcut('redo');
 }
 
 /* ==============================================================
-   INITIALIZATION
-   Everything starts here when the page loads.
+   EXPERIMENT LOADING
    ============================================================== */
-function init() {
-  // Create module instances
-  dataStore = new DataStore();
-  drawing = new DrawingEngine(elements.canvas, dataStore);
-  eyeTracker = new EyeTracker(dataStore, elements.gazeDot);
-  exporter = new Exporter(dataStore);
 
-  // ---- Welcome Screen ----
-  // Enable the start button once a participant ID is entered
-  elements.participantId.addEventListener('input', () => {
-    elements.btnStartCalibration.disabled = elements.participantId.value.trim() === '';
-  });
+/**
+ * Load the experiment definition and fill in the welcome screen.
+ * On failure the start button stays disabled and the error is shown.
+ */
+async function loadExperiment() {
+  const url = new URLSearchParams(window.location.search).get('experiment') ||
+    DEFAULT_EXPERIMENT_URL;
 
-  elements.btnStartCalibration.addEventListener('click', async () => {
-    const pid = elements.participantId.value.trim();
-    if (!pid) return;
+  try {
+    experiment = await Experiment.load(url);
+  } catch (err) {
+    console.error('Experiment load failed:', err);
+    elements.welcomeError.textContent = err.message;
+    return false;
+  }
 
-    dataStore.setParticipantId(pid);
-    elements.welcomeError.textContent = '';
+  trialOrder = experiment.buildTrialOrder();
+  dataStore.setExperiment(experiment.describe(trialOrder));
+  dataStore.setFixationDetection(experiment.fixations);
+  eyeTracker.setGazeFilter(experiment.gazeFilter);
+  exporter.setEncryption(experiment.encryption);
+  exporter.setCSVTables(experiment.csvTables);
+  exporter.setSVG(experiment.svgExport);
+  exporter.setNormalizedImages(experiment.normalizedImages);
+  stimulus.preload(trialOrder);
 
-    // Initialize WebGazer (requests camera)
-    elements.btnStartCalibration.disabled = true;
+  // Welcome screen copy
+  document.title = experiment.title;
+  elements.welcomeTitle.textContent = experiment.title;
+  elements.welcomeSubtitle.textContent = experiment.subtitle;
+  elements.welcomeTrialCount.textContent = experiment.trialCount;
+  if (!experiment.usesGaze) {
+    document.querySelectorAll('.gaze-step').forEach(li => li.style.display = 'none');
+    elements.btnStartCalibration.textContent = 'Start';
+  }
+  elements.btnStartCalibration.disabled = elements.participantId.value.trim() === '';
+  return true;
+}
+
+/**
+ * Move to the drawing screen with the next trial ready
+ * (trial 1, or the one after the last completed trial when resuming).
+ */
+function goToTrials() {
+  showScreen('drawing');
+  // Resize canvas now that it's visible
+  drawing.resize();
+  prepareTrial(currentTrialNumber + 1);
+}
 
-    // Show status updates during initialization
-    const updateStatus = (msg) => {
-      elements.btnStartCalibration.textContent = msg;
-    };
+/* ==============================================================
+   SESSION START / RESUME
+   ============================================================== */
 
-    const result = await eyeTracker.initialize(updateStatus);
+/**
+ * Welcome screen "Start" button: offer to resume an unfinished
+ * session for this participant, otherwise start a fresh one.
+ */
+async function onWelcomeStart() {
+  const pid = elements.participantId.value.trim();
+  if (!pid || !experiment) return;
+  elements.welcomeError.textContent = '';
 
-    if (!result.success) {
-      elements.welcomeError.textContent = result.error;
-      elements.btnStartCalibration.textContent = 'Start Calibration';
-      elements.btnStartCalibration.disabled = false;
+  if (sessionStore) {
+    try {
+      pendingResume = await sessionStore.findUnfinished(pid);
+    } catch (err) {
+      console.warn('Could not check for unfinished sessions:', err);
+      pendingResume = null;
+    }
+    if (pendingResume) {
+      showResumeOffer(pendingResume);
       return;
     }
+  }
 
-    // Move to calibration screen
-    showScreen('calibration');
+  dataStore.setParticipantId(pid);
+  await startStudy();
+}
+
+function showResumeOffer(record) {
+  const meta = record.meta;
+  const total = meta.experiment?.trialOrder?.length ?? '?';
+  const started = new Date(meta.sessionStartTime).toLocaleString();
+  elements.resumeMessage.textContent =
+    `An unfinished session for ${meta.participantId} was found ` +
+    `(started ${started}, ${record.trialsStarted} of ${total} trials started).`;
+  elements.btnResume.textContent = `Resume at Trial ${Math.min(record.trialsStarted + 1, total)}`;
+  elements.resumePanel.style.display = 'block';
+  elements.btnStartCalibration.style.display = 'none';
+}
+
+function hideResumeOffer() {
+  elements.resumePanel.style.display = 'none';
+  elements.btnStartCalibration.style.display = '';
+}
+
+/**
+ * Load a stored session into the DataStore, along with the experiment
+ * definition and trial order it was run with.
+ */
+async function loadStoredSession(record) {
+  const stored = await sessionStore.loadSession(record.sessionId);
+  const info = stored.sessionData.experiment;
+  if (!info || !info.definition) {
+    throw new Error('The stored session has no experiment definition and cannot be resumed.');
+  }
+
+  experiment = new Experiment(info.definition, info.source);
+  trialOrder = info.trialOrder.map(id => experiment.getTrial(id));
+  dataStore.restore(stored.sessionData);
+  dataStore.setFixationDetection(experiment.fixations);
+  eyeTracker.setGazeFilter(experiment.gazeFilter);
+  exporter.setEncryption(experiment.encryption);
+  exporter.setCSVTables(experiment.csvTables);
+  exporter.setSVG(experiment.svgExport);
+  exporter.setNormalizedImages(experiment.normalizedImages);
+  trialPNGs = stored.trialPNGs;
+  currentTrialNumber = stored.sessionData.trials.length;
+}
+
+async function onResume() {
+  hideResumeOffer();
+  try {
+    await loadStoredSession(pendingResume);
+  } catch (err) {
+    console.error('Resume failed:', err);
+    elements.welcomeError.textContent = `Could not resume: ${err.message}`;
+    return;
+  }
+  dataStore.recordResume();
+  stimulus.preload(trialOrder);
+
+  // Everything was already done — just go to the export screen
+  if (currentTrialNumber >= trialOrder.length) {
+    dataStore.markFinished('complete');
+    showDoneScreen();
+    return;
+  }
+  await startStudy();
+}
+
+async function onResumeExport() {
+  hideResumeOffer();
+  try {
+    await loadStoredSession(pendingResume);
+  } catch (err) {
+    console.error('Loading stored session failed:', err);
+    elements.welcomeError.textContent = `Could not load the stored session: ${err.message}`;
+    return;
+  }
+  showDoneScreen();
+}
+
+async function onResumeDiscard() {
+  hideResumeOffer();
+  // The data stays in IndexedDB; it just isn't offered for resume again
+  await sessionStore.setStatus(pendingResume.sessionId, 'abandoned');
+  pendingResume = null;
+  dataStore.setParticipantId(elements.participantId.value.trim());
+  await startStudy();
+}
+
+/**
+ * Camera + calibration if any trial records gaze, then the trials.
+ */
+async function startStudy() {
+  // No trial records gaze — skip the camera and calibration entirely
+  if (!experiment.usesGaze) {
+    goToTrials();
+    return;
+  }
+
+  // Initialize WebGazer (requests camera)
+  elements.btnStartCalibration.disabled = true;
+
+  // Show status updates during initialization
+  const updateStatus = (msg) => {
+    elements.btnStartCalibration.textContent = msg;
+  };
+
+  const result = await eyeTracker.initialize(updateStatus);
+
+  if (!result.success) {
+    elements.welcomeError.textContent = result.error;
+    elements.btnStartCalibration.textContent = 'Start Calibration';
+    elements.btnStartCalibration.disabled = false;
+    return;
+  }
+
+  // Calibrate (and validate) before the first trial
+  await runCalibrationFlow('initial', {}, await offerSavedModel());
+  elements.calibrationComplete.style.display = 'block';
+}
+
+/* ==============================================================
+   SAVED MODELS
+   With calibration.reuseModel, each participant's accepted model
+   is kept in IndexedDB. At their next session it can stand in for
+   the calibration (the accuracy check still runs).
+   ============================================================== */
+
+/**
+ * The participant's saved model, if reuse is enabled and it still
+ * fits: same window size (gaze is predicted in viewport px) and not
+ * older than maxAgeDays.
+ * @returns {Promise<Object|null>}
+ */
+async function findReusableModel() {
+  const { reuseModel } = experiment.calibration;
+  if (!reuseModel.enabled || !sessionStore) return null;
+
+  let model;
+  try {
+    model = await sessionStore.loadModel(dataStore.getSessionData().participantId);
+  } catch (err) {
+    console.warn('Could not load the saved gaze model:', err);
+    return null;
+  }
+  if (!model) return null;
+
+  const ageDays = (Date.now() - model.savedAt) / 86400000;
+  if (reuseModel.maxAgeDays !== null && ageDays > reuseModel.maxAgeDays) return null;
+  if (model.screenWidth !== window.innerWidth || model.screenHeight !== window.innerHeight) {
+    console.info(`Saved gaze model is for a ${model.screenWidth}×${model.screenHeight} window; not offered.`);
+    return null;
+  }
+  return model;
+}
+
+/**
+ * Ask whether to use the saved model or calibrate again.
+ * @returns {Promise<Object|null>} the model to use
+ */
+async function offerSavedModel() {
+  const model = await findReusableModel();
+  if (!model) return null;
+
+  showScreen('calibration');
+  elements.modelReuseText.textContent =
+    `A calibration saved on ${new Date(model.savedAt).toLocaleString()} is available. ` +
+    'Use it (a quick accuracy check follows), or calibrate again?';
+  elements.modelReuse.style.display = 'block';
+  const choice = await waitForClick(elements.btnUseSavedModel, elements.btnNewModel);
+  elements.modelReuse.style.display = 'none';
+  return choice === elements.btnUseSavedModel ? model : null;
+}
+
+/**
+ * Keep the model just accepted as this participant's saved model.
+ * @param {Object|null} validation - its accuracy check, if one ran
+ */
+function saveModel(validation) {
+  if (!experiment.calibration.reuseModel.enabled || !sessionStore) return;
+  const session = dataStore.getSessionData();
+  const model = eyeTracker.exportModel();
+  if (model.samples.length === 0) return;
+
+  sessionStore.saveModel({
+    participantId: session.participantId,
+    sessionId: session.sessionId,
+    savedAt: Date.now(),
+    calibration: session.calibrations.length - 1,
+    accuracyDeg: validation ? validation.accuracyDeg : null,
+    ...model
   });
+}
 
-  // ---- Calibration Screen ----
-  elements.btnBeginCalibration.addEventListener('click', async () => {
-    elements.calibrationInstruction.style.display = 'none';
+/**
+ * What goes into the calibration record about a reused model.
+ */
+function describeModel(model) {
+  return {
+    sessionId: model.sessionId,
+    calibration: model.calibration,
+    savedAt: model.savedAt,
+    accuracyDeg: model.accuracyDeg,
+    screenWidth: model.screenWidth,
+    screenHeight: model.screenHeight,
+    sampleCount: model.samples.length
+  };
+}
+
+/* ==============================================================
+   CALIBRATION & VALIDATION
+   ============================================================== */
+
+const CALIBRATION_INSTRUCTIONS = {
+  click: 'Click each dot that appears. Try to look directly at the dot as you click it.',
+  fixation: 'Look at each dot that appears until it shrinks away. There is no need to click.',
+  pursuit: 'Follow the moving dot with your eyes until it stops. Keep your head still.',
+  stylus: 'Dots will appear on the drawing area. Tap each one with your pencil while looking at it.'
+};
+
+/**
+ * Calibrate, then (if enabled) validate and show the report.
+ * "Recalibrate" on the report starts over; resolves once accepted.
+ * A saved model, if given, replaces the first calibration and is
+ * always validated.
+ * @param {string} type - "initial" or "recalibration"
+ * @param {Object} [context] - { trigger, beforeTrial } logged with recalibrations
+ * @param {Object|null} [savedModel] - from findReusableModel()
+ * @returns {Promise<Object|null>} the accepted validation result
+ */
+async function runCalibrationFlow(type, context = {}, savedModel = null) {
+  showScreen('calibration');
+  const { headPosition, procedure, validation } = experiment.calibration;
+  elements.calibrationInstructionText.textContent = CALIBRATION_INSTRUCTIONS[procedure.mode];
+
+  for (;;) {
+    elements.calibrationComplete.style.display = 'none';
+
+    // Face centred, at a good distance and well lit before calibrating
+    let headPose = null;
+    if (headPosition.enabled) {
+      elements.headGuide.style.display = 'block';
+      headPose = await eyeTracker.runHeadPositioning({
+        stage: elements.headGuideStage,
+        feedback: elements.headGuideFeedback,
+        button: elements.btnHeadGuideContinue
+      }, headPosition);
+      elements.headGuide.style.display = 'none';
+    }
+
+    const reused = savedModel;
+    savedModel = null;   // a recalibration always trains afresh
+    dataStore.startCalibration(type, context, headPose);
+    if (reused) {
+      eyeTracker.importModel(reused);
+      dataStore.endCalibration({ mode: 'reused', model: describeModel(reused) });
+    } else {
+      elements.calibrationInstruction.style.display = 'block';
+      await waitForClick(elements.btnBeginCalibration);
+      elements.calibrationInstruction.style.display = 'none';
+
+      dataStore.endCalibration(procedure.mode === 'stylus'
+        ? await runStylusCalibration(procedure)
+        : await eyeTracker.runCalibration(elements.calibrationDots, procedure));
+    }
+
+    if (!validation.enabled && !reused) {
+      saveModel(null);
+      return null;
+    }
+
+    elements.validationInstruction.style.display = 'block';
+    await waitForClick(elements.btnBeginValidation);
+    elements.validationInstruction.style.display = 'none';
+
+    const result = await eyeTracker.runValidation(elements.calibrationDots, validation);
+    dataStore.recordValidation(result);
+
+    showValidationReport(result);
+    const choice = await waitForClick(elements.btnAcceptValidation, elements.btnRecalibrate);
+    elements.validationReport.style.display = 'none';
+    elements.calibrationDots.innerHTML = '';
+
+    if (choice === elements.btnAcceptValidation) {
+      if (!reused) saveModel(result);
+      return result;
+    }
+    type = 'recalibration';
+    context = { ...context, trigger: 'validation' };
+  }
+}
+
+/**
+ * Stylus calibration happens on the drawing screen, so the targets
+ * sit on the canvas where the participant will draw. An overlay
+ * keeps the taps away from the canvas and toolbar.
+ * @returns {Promise<Object>} the procedure record (see EyeTracker.runCalibration)
+ */
+async function runStylusCalibration(procedure) {
+  showScreen('drawing');
+  drawing.resize();
+  elements.stylusCalibration.classList.add('active');
+  try {
+    return await eyeTracker.runCalibration(elements.stylusCalibration,
+      { ...procedure, area: elements.canvas });
+  } finally {
+    elements.stylusCalibration.classList.remove('active');
+    showScreen('calibration');
+  }
+}
+
+/**
+ * True if the model was (re)calibrated after the last trial ended,
+ * e.g. right after a resume — a drift check would be redundant.
+ */
+function calibratedSinceLastTrial() {
+  const { calibrations, trials } = dataStore.getSessionData();
+  const lastCalibration = calibrations.at(-1);
+  const lastTrial = trials.at(-1);
+  return !!lastCalibration && !!lastTrial && lastCalibration.endTime > lastTrial.endTime;
+}
+
+/**
+ * Single central target between trials. If the gaze has drifted past
+ * the threshold, recalibrate before the next trial.
+ * @param {number} beforeTrial - the trial number about to start
+ */
+async function runDriftCheck(beforeTrial) {
+  showScreen('calibration');
+  elements.calibrationComplete.style.display = 'none';
+  elements.driftInstruction.style.display = 'block';
+  await waitForClick(elements.btnBeginDrift);
+  elements.driftInstruction.style.display = 'none';
+
+  const options = experiment.calibration.driftCheck;
+  const result = await eyeTracker.runDriftCheck(elements.calibrationDots, options);
+  dataStore.recordDriftCheck(beforeTrial, result, !result.passed);
+
+  if (!result.passed) {
+    elements.driftResultText.textContent = result.errorDeg === null
+      ? 'No gaze was detected. Make sure your face is visible to the camera.'
+      : `Your gaze was off by ${result.errorDeg.toFixed(1)}° (${Math.round(result.errorPx)} px). ` +
+        'Let\'s recalibrate before the next drawing.';
+    elements.driftResult.style.display = 'block';
+    await waitForClick(elements.btnDriftRecalibrate);
+    elements.driftResult.style.display = 'none';
+    await runCalibrationFlow('recalibration', { trigger: 'drift', beforeTrial });
+  }
+
+  showScreen('drawing');
+  drawing.resize();
+}
+
+/**
+ * Pass/fail verdict, numbers, and target vs. mean-gaze markers.
+ */
+function showValidationReport(result) {
+  const fmt = (deg, px) => deg === null ? 'n/a' : `${deg.toFixed(1)}° (${Math.round(px)} px)`;
+  const limits = [];
+  if (result.thresholds.maxErrorDeg != null) limits.push(`${result.thresholds.maxErrorDeg}°`);
+  if (result.thresholds.maxErrorPx != null) limits.push(`${result.thresholds.maxErrorPx} px`);
+
+  elements.validationTitle.textContent = 'Accuracy Check';
+  elements.validationSummary.innerHTML = `
+    <span class="verdict ${result.passed ? 'pass' : 'fail'}">${result.passed ? 'PASS' : 'FAIL'}</span>
+    <div><strong>Accuracy:</strong> ${fmt(result.accuracyDeg, result.accuracyPx)}
+      ${limits.length ? `· limit ${limits.join(' / ')}` : ''}</div>
+    <div><strong>Precision (RMS-S2S):</strong> ${fmt(result.rmsS2SDeg, result.rmsS2SPx)}</div>
+    <div><strong>Targets with data:</strong> ${result.targetsWithData} of ${result.targetCount}</div>
+  `;
+  elements.btnAcceptValidation.textContent = result.passed ? 'Continue' : 'Continue Anyway';
+
+  // Markers: ring = target, dot = where the gaze landed on average
+  const container = elements.calibrationDots;
+  container.innerHTML = '';
+  for (const t of result.targets) {
+    const ring = document.createElement('div');
+    ring.className = 'validation-marker target';
+    ring.style.left = t.targetX + 'px';
+    ring.style.top = t.targetY + 'px';
+    container.appendChild(ring);
+    if (t.meanX === null) continue;
 
-    // Run the 9-point calibration
-    await eyeTracker.runCalibration(elements.calibrationDots);
+    const line = document.createElement('div');
+    line.className = 'validation-line';
+    line.style.left = t.targetX + 'px';
+    line.style.top = t.targetY + 'px';
+    line.style.width = t.accuracyPx + 'px';
+    const angle = Math.atan2(t.meanY - t.targetY, t.meanX - t.targetX);
+    line.style.transform = `rotate(${angle}rad)`;
+    container.appendChild(line);
 
-    // Show completion message
-    elements.calibrationComplete.style.display = 'block';
+    const dot = document.createElement('div');
+    const { maxErrorDeg, maxErrorPx } = result.thresholds;
+    const ok = (maxErrorDeg == null || t.accuracyDeg <= maxErrorDeg) &&
+      (maxErrorPx == null || t.accuracyPx <= maxErrorPx);
+    dot.className = `validation-marker gaze${ok ? ' pass' : ''}`;
+    dot.style.left = t.meanX + 'px';
+    dot.style.top = t.meanY + 'px';
+    container.appendChild(dot);
+  }
+
+  elements.validationReport.style.display = 'block';
+}
+
+/* ==============================================================
+   INITIALIZATION
+   Everything starts here when the page loads.
+   ============================================================== */
+async function init() {
+  // Create module instances
+  dataStore = new DataStore();
+  drawing = new DrawingEngine(elements.canvas, dataStore);
+  eyeTracker = new EyeTracker(dataStore, elements.gazeDot);
+  eyeTracker.onTrackingChange = showTrackingWarning;
+  eyeTracker.setReferenceElements(elements.canvas, {
+    stimulusOverlay: elements.stimulusOverlay,
+    toolbar: $('.toolbar'),
+    topbar: $('.topbar'),
+    stimulus: elements.stimulusPanel,
+    prompt: elements.stimulusPromptBar,
+  });
+  exporter = new Exporter(dataStore);
+  stimulus = new StimulusPresenter(dataStore, {
+    panel: elements.stimulusPanel,
+    panelPrompt: elements.stimulusPanelPrompt,
+    panelImage: elements.stimulusPanelImage,
+    promptBar: elements.stimulusPromptBar,
+    underlay: elements.stimulusUnderlay,
+    overlay: elements.stimulusOverlay,
+    overlayPrompt: elements.stimulusOverlayPrompt,
+    overlayImage: elements.stimulusOverlayImage,
+    overlayContinue: elements.btnStimulusContinue,
   });
 
-  elements.btnGoToTrials.addEventListener('click', () => {
-    showScreen('drawing');
-    // Resize canvas now that it's visible
-    drawing.resize();
+  // ---- Welcome Screen ----
+  // Enable the start button once a participant ID is entered
+  elements.participantId.addEventListener('input', () => {
+    elements.btnStartCalibration.disabled =
+      !experiment || elements.participantId.value.trim() === '';
+    // A resume offer only applies to the ID it was found for
+    hideResumeOffer();
   });
 
+  elements.btnStartCalibration.addEventListener('click', onWelcomeStart);
+  elements.btnResume.addEventListener('click', onResume);
+  elements.btnResumeExport.addEventListener('click', onResumeExport);
+  elements.btnResumeDiscard.addEventListener('click', onResumeDiscard);
+
+  // ---- Calibration Screen ----
+  // (the Begin / validation buttons are awaited in runCalibrationFlow)
+  elements.btnGoToTrials.addEventListener('click', goToTrials);
+
   // ---- Drawing Screen ----
   setupToolbar();
+  setupShortcuts();
   elements.btnStartTrial.addEventListener('click', onStartTrial);
-  elements.btnEndTrial.addEventListener('click', onEndTrial);
+  elements.btnEndTrial.addEventListener('click', () => onEndTrial('button'));
 
   // ---- Done Screen ----
-  elements.btnDownload.addEventListener('click', () => {
-    exporter.exportAll(trialPNGs);
-  });
+  elements.btnDownload.addEventListener('click', downloadSession);
+  elements.btnUpload.addEventListener('click', uploadSession);
 
   // ---- Handle window resize ----
   window.addEventListener('resize', () => {
     if (screens.drawing.classList.contains('active')) {
       drawing.resize();
+      stimulus.relayout();
     }
   });
 
+  // Mirror the session to IndexedDB so a reload can't lose it
+  if (SessionStore.isSupported()) {
+    try {
+      sessionStore = await new SessionStore().open();
+      dataStore.attachPersistence(sessionStore);
+    } catch (err) {
+      console.warn('IndexedDB unavailable — session will not survive a reload:', err);
+      sessionStore = null;
+    }
+  }
+
+  // Finish any uploads an earlier session left queued
+  uploader = new Uploader(sessionStore);
+  uploader.onStatus = showUploadStatus;
+  uploader.start().catch(err => console.warn('Could not resume queued uploads:', err));
+
   // Show welcome screen
   showScreen('welcome');
+
+  // Load the study definition (enables the start button once ready)
+  await loadExperiment();
 }
 
 // Start the app when DOM is ready
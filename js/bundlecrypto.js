@@ -0,0 +1,242 @@
+/* ============================================================
+   bundlecrypto.js — Encrypted Session Bundles
+   ============================================================
+   Hybrid encryption with Web Crypto, so the exported ZIP can only
+   be opened with the study's private key (which never comes near
+   the iPad):
+
+     1. a fresh AES-256-GCM key encrypts the ZIP
+     2. the study's RSA-OAEP (SHA-256) public key encrypts that key
+
+   The ZIP is encrypted in segments of SEGMENT_SIZE bytes, read one
+   at a time from the Blob, so neither it nor the result has to sit
+   in memory as one buffer (long sessions on an iPad).
+
+   FILE FORMAT (.zip.enc):
+     "DSEB1\n"            6-byte magic
+     header length        uint32, big-endian
+     header               UTF-8 JSON:
+                            { format, version, alg, keyId,
+                              keyFingerprint, wrappedKey, iv,
+                              segmentSize, filename, createdAt }
+                          (wrappedKey and iv in base64)
+     ciphertext           one AES-GCM output (tag included) per
+                          segment of the ZIP, back to back
+
+   Segment i uses the iv with i XORed into its last 4 bytes; its
+   additional data is the header bytes, i (uint32, big-endian) and
+   1 for the last segment, else 0. So neither the header nor the
+   order of the segments can be altered, and a truncated bundle
+   doesn't decrypt. Version 1 bundles (one AES-GCM output for the
+   whole ZIP, the header as additional data) still decrypt.
+
+   keyFingerprint is the first 16 hex digits of the SHA-256 of the
+   public key (SPKI), to tell which key a bundle needs.
+
+   Works in browsers (secure contexts only: HTTPS or localhost)
+   and in Node 18+, where tools/decrypt-bundle.mjs uses it.
+   ============================================================ */
+
+const MAGIC = 'DSEB1\n';
+const FORMAT = 'drawing-study-bundle';
+const VERSION = 2;
+const SEGMENT_SIZE = 1024 * 1024;   // ZIP bytes per AES-GCM segment
+const TAG_BYTES = 16;
+const ALGORITHM = 'RSA-OAEP-256+A256GCM';
+const RSA = { name: 'RSA-OAEP', hash: 'SHA-256' };
+
+/**
+ * Encrypt a bundle for the study key.
+ * @param {Blob|ArrayBuffer|Uint8Array} zip - the plain ZIP
+ * @param {Object} settings - Experiment.encryption: { publicKey, keyId }
+ * @param {string} filename - the plain bundle's name, kept in the header
+ * @returns {Promise<Blob>} the .zip.enc contents
+ */
+export async function encryptBundle(zip, settings, filename) {
+  const subtle = getSubtle();
+  const source = zip instanceof Blob ? zip : new Blob([zip]);
+  const publicKey = await importPublicKey(settings.publicKey);
+
+  const aesKey = await subtle.generateKey({ name: 'AES-GCM', length: 256 }, true, ['encrypt']);
+  const rawKey = await subtle.exportKey('raw', aesKey);
+  const iv = crypto.getRandomValues(new Uint8Array(12));
+
+  const header = encodeUTF8(JSON.stringify({
+    format: FORMAT,
+    version: VERSION,
+    alg: ALGORITHM,
+    keyId: settings.keyId ?? null,
+    keyFingerprint: await keyFingerprint(publicKey),
+    wrappedKey: toBase64(new Uint8Array(await subtle.encrypt(RSA, publicKey, rawKey))),
+    iv: toBase64(iv),
+    segmentSize: SEGMENT_SIZE,
+    filename,
+    createdAt: new Date().toISOString()
+  }));
+
+  const magic = encodeUTF8(MAGIC);
+  const length = new Uint8Array(4);
+  new DataView(length.buffer).setUint32(0, header.length);
+  let parts = [magic, length, header];
+
+  const count = Math.max(1, Math.ceil(source.size / SEGMENT_SIZE));
+  for (let i = 0; i < count; i++) {
+    const plain = await source.slice(i * SEGMENT_SIZE, (i + 1) * SEGMENT_SIZE).arrayBuffer();
+    parts.push(new Uint8Array(await subtle.encrypt(segmentParams(iv, header, i, i === count - 1), aesKey, plain)));
+    // Fold the encrypted segments into a Blob now and then, so they don't pile up as buffers
+    if (parts.length >= 16) parts = [new Blob(parts)];
+  }
+  return new Blob(parts, { type: 'application/octet-stream' });
+}
+
+/**
+ * Read the header of an encrypted bundle (no key needed).
+ * @param {ArrayBuffer|Uint8Array} bytes
+ * @returns {{header: Object, headerBytes: Uint8Array, ciphertext: Uint8Array}}
+ * @throws {Error} if it isn't an encrypted bundle
+ */
+export function readBundleHeader(bytes) {
+  const data = bytes instanceof Uint8Array ? bytes : new Uint8Array(bytes);
+  const magic = encodeUTF8(MAGIC);
+  if (data.length < magic.length + 4 || !magic.every((b, i) => data[i] === b)) {
+    throw new Error('Not an encrypted session bundle.');
+  }
+  const length = new DataView(data.buffer, data.byteOffset).getUint32(magic.length);
+  const start = magic.length + 4;
+  if (start + length > data.length) throw new Error('The bundle is truncated.');
+
+  const headerBytes = data.subarray(start, start + length);
+  const header = JSON.parse(new TextDecoder().decode(headerBytes));
+  if (header.format !== FORMAT || header.alg !== ALGORITHM) {
+    throw new Error(`Unsupported bundle format (${header.format} ${header.alg}).`);
+  }
+  if (header.version >= 2 && !(header.segmentSize > 0)) {
+    throw new Error('The bundle header has no valid segmentSize.');
+  }
+  if (header.version > VERSION) {
+    throw new Error(`Bundle version ${header.version} is newer than this tool (${VERSION}).`);
+  }
+  return { header, headerBytes, ciphertext: data.subarray(start + length) };
+}
+
+/**
+ * Decrypt a bundle with the study's private key.
+ * @param {ArrayBuffer|Uint8Array} bytes - the .zip.enc contents
+ * @param {CryptoKey} privateKey - RSA-OAEP (SHA-256), usage "decrypt"
+ * @returns {Promise<{header: Object, zip: Uint8Array}>}
+ */
+export async function decryptBundle(bytes, privateKey) {
+  const subtle = getSubtle();
+  const { header, headerBytes, ciphertext } = readBundleHeader(bytes);
+
+  let rawKey;
+  try {
+    rawKey = await subtle.decrypt(RSA, privateKey, fromBase64(header.wrappedKey));
+  } catch (err) {
+    throw new Error(`This bundle was encrypted for key ${header.keyFingerprint}; the private key doesn't match.`);
+  }
+  const aesKey = await subtle.importKey('raw', rawKey, 'AES-GCM', false, ['decrypt']);
+  const iv = fromBase64(header.iv);
+  try {
+    if (header.version === 1) {
+      const zip = await subtle.decrypt({ name: 'AES-GCM', iv, additionalData: headerBytes }, aesKey, ciphertext);
+      return { header, zip: new Uint8Array(zip) };
+    }
+
+    const segment = header.segmentSize + TAG_BYTES;
+    const count = Math.max(1, Math.ceil(ciphertext.length / segment));
+    const zip = new Uint8Array(ciphertext.length - count * TAG_BYTES);
+    for (let i = 0; i < count; i++) {
+      const part = ciphertext.subarray(i * segment, (i + 1) * segment);
+      const plain = await subtle.decrypt(segmentParams(iv, headerBytes, i, i === count - 1), aesKey, part);
+      zip.set(new Uint8Array(plain), i * header.segmentSize);
+    }
+    return { header, zip };
+  } catch (err) {
+    throw new Error('The bundle has been damaged or altered (authentication failed).');
+  }
+}
+
+/**
+ * Import the study's public key: a JWK object, or a PEM
+ * "-----BEGIN PUBLIC KEY-----" (SPKI) string.
+ * @returns {Promise<CryptoKey>}
+ */
+export async function importPublicKey(publicKey) {
+  const subtle = getSubtle();
+  if (typeof publicKey === 'string') {
+    return subtle.importKey('spki', fromPEM(publicKey, 'PUBLIC KEY'), RSA, true, ['encrypt']);
+  }
+  const { kty, n, e } = publicKey;
+  return subtle.importKey('jwk', { kty, n, e, alg: 'RSA-OAEP-256', ext: true }, RSA, true, ['encrypt']);
+}
+
+/**
+ * First 16 hex digits of the SHA-256 of the key's SPKI encoding.
+ * @param {CryptoKey} publicKey
+ */
+export async function keyFingerprint(publicKey) {
+  const subtle = getSubtle();
+  const digest = await subtle.digest('SHA-256', await subtle.exportKey('spki', publicKey));
+  return [...new Uint8Array(digest)].slice(0, 8).map(b => b.toString(16).padStart(2, '0')).join('');
+}
+
+/**
+ * Decode a PEM block ("-----BEGIN <label>-----") to bytes.
+ */
+export function fromPEM(pem, label) {
+  const match = pem.match(new RegExp(`-----BEGIN ${label}-----([\\s\\S]+?)-----END ${label}-----`));
+  if (!match) throw new Error(`Expected a PEM "${label}".`);
+  return fromBase64(match[1].replace(/\s+/g, ''));
+}
+
+/**
+ * Encode bytes as a PEM block.
+ */
+export function toPEM(bytes, label) {
+  const lines = toBase64(new Uint8Array(bytes)).match(/.{1,64}/g).join('\n');
+  return `-----BEGIN ${label}-----\n${lines}\n-----END ${label}-----\n`;
+}
+
+/* ----------------------------------------------------------
+   INTERNAL
+   ---------------------------------------------------------- */
+
+function getSubtle() {
+  if (typeof crypto === 'undefined' || !crypto.subtle) {
+    throw new Error('Encryption needs Web Crypto, which browsers only offer over HTTPS (or on localhost).');
+  }
+  return crypto.subtle;
+}
+
+const encodeUTF8 = (text) => new TextEncoder().encode(text);
+
+/**
+ * AES-GCM parameters of segment `index` (see FILE FORMAT).
+ */
+function segmentParams(iv, headerBytes, index, last) {
+  const nonce = iv.slice();
+  const view = new DataView(nonce.buffer);
+  view.setUint32(8, (view.getUint32(8) ^ index) >>> 0);
+
+  const additionalData = new Uint8Array(headerBytes.length + 5);
+  additionalData.set(headerBytes, 0);
+  new DataView(additionalData.buffer).setUint32(headerBytes.length, index);
+  additionalData[headerBytes.length + 4] = last ? 1 : 0;
+  return { name: 'AES-GCM', iv: nonce, additionalData };
+}
+
+function toBase64(bytes) {
+  let binary = '';
+  for (let i = 0; i < bytes.length; i += 0x8000) {
+    binary += String.fromCharCode(...bytes.subarray(i, i + 0x8000));
+  }
+  return btoa(binary);
+}
+
+function fromBase64(text) {
+  const binary = atob(text);
+  const bytes = new Uint8Array(binary.length);
+  for (let i = 0; i < binary.length; i++) bytes[i] = binary.charCodeAt(i);
+  return bytes;
+}
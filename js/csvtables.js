@@ -0,0 +1,158 @@
+/* ============================================================
+   csvtables.js — Long-Format CSV Tables
+   ============================================================
+   Flattens the session into the tables analysts would otherwise
+   build from data.json themselves. Every row starts with the keys
+   participantId, sessionId and trialNumber, so tables from several
+   sessions can be stacked and joined.
+
+   TABLES:
+     trials.csv          one row per trial
+     strokes.csv         one row per stroke (+ strokeId)
+     strokes_points.csv  one row per stroke sample (+ strokeId, pointIndex)
+     gaze.csv            one row per raw gaze sample (+ sampleIndex)
+     actions.csv         one row per undo/redo/clear (+ actionId)
+
+   CELLS:
+   Empty for null/missing values, true/false for booleans, numbers
+   as recorded. Text is quoted when it needs to be (RFC 4180).
+   actions.csv lists the affected strokes as "0;1;2". The canvas
+   columns of trials.csv are the canvas as the trial ended
+   (canvasRectAt), after any side panel or prompt bar shrank it.
+
+   Pure functions; exporter.js streams the output into the ZIP.
+   ============================================================ */
+
+import { canvasRectAt } from './sessionfile.js';
+
+export const CSV_TABLES = ['trials', 'strokes', 'strokes_points', 'gaze', 'actions'];
+
+const ROWS_PER_CHUNK = 2000;
+
+const POINT_FIELDS = [
+  'time', 'x', 'y', 'pressure', 'tiltX', 'tiltY',
+  'altitudeAngle', 'azimuthAngle', 'twist', 'width', 'height'
+];
+const GAZE_FIELDS = [
+  'time', 'predictedAt', 'x', 'y', 'canvasX', 'canvasY', 'region',
+  'eyesValid', 'eyeOpenness', 'headX', 'headY', 'distanceCm'
+];
+
+/**
+ * For each table: its columns after the keys, and its rows (as
+ * arrays in column order) for one trial of the session.
+ */
+const TABLES = {
+  trials: {
+    columns: [
+      'trialId', 'instructions', 'timeLimit', 'recordGaze',
+      'startTime', 'endTime', 'duration', 'endReason', 'interrupted',
+      'canvasLeft', 'canvasTop', 'canvasWidth', 'canvasHeight',
+      'stimulusId', 'stimulusMode', 'stimulusShownAt', 'stimulusHiddenAt',
+      'strokeCount', 'finalStrokeCount', 'actionCount',
+      'gazeSampleCount', 'validGazeSampleCount', 'fixationCount'
+    ],
+    *rows(trial, sessionData) {
+      const rect = canvasRectAt(sessionData, trial);
+      const stimulus = trial.stimulus || {};
+      const strokes = trial.strokes || [];
+      const gaze = trial.gazeData || [];
+      yield [
+        trial.trialId, trial.instructions, trial.timeLimit, trial.recordGaze,
+        trial.startTime, trial.endTime,
+        trial.endTime != null && trial.startTime != null ? trial.endTime - trial.startTime : null,
+        trial.endReason, trial.interrupted,
+        rect.left, rect.top, rect.width, rect.height,
+        stimulus.id, stimulus.mode, stimulus.shownAt, stimulus.hiddenAt,
+        strokes.length, strokes.filter(s => s.removedAt == null).length,
+        (trial.actions || []).length,
+        gaze.length, gaze.filter(g => g.eyesValid === true).length,
+        (trial.fixations || []).length
+      ];
+    }
+  },
+
+  strokes: {
+    columns: [
+      'strokeId', 'tool', 'color', 'thickness', 'pointerType',
+      'startTime', 'endTime', 'removedAt', 'removedBy', 'pointCount'
+    ],
+    *rows(trial) {
+      for (const s of trial.strokes || []) {
+        yield [
+          s.strokeId, s.tool, s.color, s.thickness, s.pointerType,
+          s.startTime, s.endTime, s.removedAt, s.removedBy, (s.points || []).length
+        ];
+      }
+    }
+  },
+
+  strokes_points: {
+    columns: ['strokeId', 'pointIndex', ...POINT_FIELDS],
+    *rows(trial) {
+      for (const s of trial.strokes || []) {
+        const points = s.points || [];
+        for (let i = 0; i < points.length; i++) {
+          yield [s.strokeId, i, ...POINT_FIELDS.map(f => points[i][f])];
+        }
+      }
+    }
+  },
+
+  gaze: {
+    columns: ['sampleIndex', ...GAZE_FIELDS],
+    *rows(trial) {
+      const gaze = trial.gazeData || [];
+      for (let i = 0; i < gaze.length; i++) {
+        yield [i, ...GAZE_FIELDS.map(f => gaze[i][f])];
+      }
+    }
+  },
+
+  actions: {
+    columns: ['actionId', 'type', 'time', 'strokeIds'],
+    *rows(trial) {
+      for (const a of trial.actions || []) {
+        yield [a.actionId, a.type, a.time, (a.strokeIds || []).join(';')];
+      }
+    }
+  }
+};
+
+/**
+ * One table as CSV text, in chunks of a few thousand rows.
+ * @param {Object} sessionData - DataStore.getSessionData()
+ * @param {string} name - one of CSV_TABLES
+ * @returns {Generator<string>}
+ */
+export function* csvTable(sessionData, name) {
+  const table = TABLES[name];
+  if (!table) throw new Error(`Unknown CSV table "${name}".`);
+
+  const keys = [sessionData.participantId, sessionData.sessionId];
+  let lines = [csvRow(['participantId', 'sessionId', 'trialNumber', ...table.columns])];
+  for (const trial of sessionData.trials || []) {
+    for (const row of table.rows(trial, sessionData)) {
+      lines.push(csvRow([...keys, trial.trialNumber, ...row]));
+      if (lines.length >= ROWS_PER_CHUNK) {
+        yield lines.join('\n') + '\n';
+        lines = [];
+      }
+    }
+  }
+  if (lines.length > 0) yield lines.join('\n') + '\n';
+}
+
+/* ----------------------------------------------------------
+   HELPERS
+   ---------------------------------------------------------- */
+
+function csvRow(values) {
+  return values.map(csvCell).join(',');
+}
+
+function csvCell(value) {
+  if (value == null || (typeof value === 'number' && !Number.isFinite(value))) return '';
+  const text = typeof value === 'object' ? JSON.stringify(value) : String(value);
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
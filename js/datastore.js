@@ -7,53 +7,220 @@
    Both stroke data and gaze data use the same time reference
    (performance.now() offset to a session start time). This means
    you can directly compare timestamps across strokes and gazes.
+
+   Samples are stamped with when they HAPPENED, not when our handler
+   ran: stroke points use each (coalesced) pointer event's timeStamp,
+   gaze points the time of the camera frame WebGazer predicted from.
+   Both are on the performance.now() clock; toSessionTime() maps
+   them onto the session clock.
    
    DATA STRUCTURE OVERVIEW:
    
    sessionData = {
+     sessionId: "lq2x8k-3f9a",          // unique per session (IndexedDB key)
      participantId: "P001",
      sessionStartTime: 1700000000000,   // Unix ms when session began
      screenWidth: 1024,
      screenHeight: 768,
      canvasWidth: 1024,
      canvasHeight: 620,
+     canvasRect: { left: 0, top: 48, width: 1024, height: 620 },  // latest, viewport CSS px
      userAgent: "...",
+     gazeTimeSource: "captureTime",     // what gaze `time` is — see addGazePoint()
+     gazeFilter: {                      // smoothing for the gaze dot / gazeFiltered
+       type: "oneEuro",                 // "none", "median", "oneEuro" or "kalman"
+       params: { minCutoff: 0.5, beta: 0.003, dCutoff: 1 },
+       outlier: null,                   // { enabled, windowSize, maxDeviationPx } if on
+       maxGapMs: 500,                   // restarts after a longer gap
+       recorded: false,                 // true if trials carry gazeFiltered
+       webgazerKalman: false            // WebGazer's own smoothing (off: gazeData is raw)
+     },
+     experiment: {                      // which study definition was run
+       id: "drawing-demo",
+       source: "experiment.json",
+       order: "fixed",
+       trialOrder: ["trial-1", "trial-2", ...],
+       definition: { ... }              // the full experiment JSON
+     },
+     calibrations: [                    // every (re)calibration, in order
+       {
+         type: "initial",               // "initial" or "recalibration"
+         trigger: null,                 // recalibrations: "validation" or "drift"
+         beforeTrial: null,             // drift recalibrations: the trial that followed
+         startTime: 2000.00,
+         endTime: 25000.00,
+         headPose: {                    // from the positioning guide (null if skipped)
+           startTime: 1500.00, endTime: 1990.00,
+           headX: 0.508, headY: 0.462,  // eye midpoint, fraction of the camera image
+           distanceCm: 55,              // rough estimate
+           eyeOpenness: 0.33,
+           brightness: 112,             // mean camera luma, 0–255
+           stableFor: 2350,             // ms held in position before Continue
+           frameCount: 58               // frames averaged (last stableDuration s)
+         },
+         procedure: {                   // how the model was trained
+           mode: "fixation",            // "click", "stylus", "fixation", "pursuit" or "reused"
+           order: "random",
+           points: [ { x: 90, y: 10 }, ... ],       // % of screen, in the order shown
+           settleDuration: 0.8, sampleDuration: 1.5,  // (mode-specific settings)
+           sampleCount: 45              // training samples given to WebGazer
+           // stylus mode also: area (canvas rect), pointerTypes, ignoredTaps,
+           // samples: [ { time, point, x, y, targetX, targetY, pointerType, pressure } ]
+           // "reused" (a saved model, no training) has only model:
+           //   { sessionId, calibration, savedAt, accuracyDeg, screenWidth, screenHeight, sampleCount }
+         },
+         validation: {                  // null if validation was skipped
+           passed: true,
+           accuracyPx: 95.2, accuracyDeg: 3.6,      // mean over targets
+           rmsS2SPx: 21.0, rmsS2SDeg: 0.8,          // precision
+           sdPx: 40.1, sdDeg: 1.5,
+           thresholds: { maxErrorDeg: 5, maxErrorPx: null },
+           geometry: { pxPerCm: 37.8, viewingDistanceCm: 50 },
+           targets: [ { targetX, targetY, meanX, meanY, accuracyPx, ..., samples: [...] } ]
+         }
+       }
+     ],
+     driftChecks: [                     // between-trial drift checks
+       {
+         beforeTrial: 2,                // trial number that followed the check
+         startTime: 70000.00,
+         endTime: 71600.00,
+         targetX: 512, targetY: 384,    // viewport CSS px
+         meanX: 540.2, meanY: 401.7,
+         offsetX: 28.2, offsetY: 17.7,  // mean gaze − target (use to correct gaze)
+         errorPx: 33.3, errorDeg: 1.3,
+         passed: true,
+         recalibrated: false,           // true if this check triggered a recalibration
+         samples: [ { x, y, time }, ... ]
+       }
+     ],
+     resumes: [                         // one entry per resume after a reload/crash
+       { time: 91234.5, resumedAt: 1700000091234, completedTrials: 2 }
+     ],
      trials: [
        {
          trialNumber: 1,
+         trialId: "trial-1",            // id from the experiment definition
+         instructions: "Draw anything you like.",
+         timeLimit: null,               // seconds, or null
+         recordGaze: true,
          startTime: 1234.56,            // ms since session start
          endTime: 5678.90,
+         endReason: "button",           // "button" or "timeout"
+         interrupted: false,            // true if the page died mid-trial
+         canvasRect: { left: 0, top: 48, width: 1024, height: 620 },
+                                        // canvas position in the viewport at trial start
+         canvasRectChanges: [           // any later change (resize, side panel shown)
+           { time: 1250.00, left: 400, top: 48, width: 624, height: 620 }
+         ],
+         stimulus: {                    // null if the trial had none
+           id: "cube",
+           mode: "side-by-side",        // "prompt", "side-by-side", "before", "underlay"
+           prompt: "Copy this cube.",
+           image: "stimuli/cube.png",
+           imageLoaded: true,
+           imageNaturalWidth: 800,
+           imageNaturalHeight: 600,
+           shownAt: 1234.56,            // ms since session start
+           hiddenAt: 5678.90,
+           imageBox: { x: 0, y: 48, width: 400, height: 300 },   // viewport CSS px
+           promptBox: { x: 0, y: 20, width: 400, height: 24 },
+           relayouts: []                // { time, imageBox, promptBox } after resizes
+         },
          strokes: [
            {
              strokeId: 0,
              tool: "pen",               // "pen" or "eraser"
              color: "#1a1a2e",
              thickness: 4,
+             pointerType: "pen",        // "pen", "touch" or "mouse"
              startTime: 1300.00,
              endTime: 1450.00,
+             removedAt: null,           // time it was undone/cleared (null = still visible;
+             removedBy: null,           // "undo" or "clear"    a redo sets both back to null)
+             // One point per coalesced pointer sample (up to 240Hz on
+             // Apple Pencil). tiltX/tiltY, twist: degrees;
+             // altitudeAngle/azimuthAngle: radians; width/height: contact
+             // size in CSS px. null where the browser doesn't report it.
              points: [
-               { x: 100, y: 200, pressure: 0.5, time: 1300.00 },
-               { x: 101, y: 201, pressure: 0.6, time: 1316.67 },
+               { x: 100, y: 200, pressure: 0.5, tiltX: 12, tiltY: -30,
+                 altitudeAngle: 1.0472, azimuthAngle: 2.7489, twist: 0,
+                 width: 1, height: 1, time: 1300.00 },
                ...
              ]
            },
            ...
          ],
          actions: [
-           { type: "undo", time: 2000.00 },
-           { type: "clear", time: 3000.00 },
+           // strokeIds: exactly which strokes the action removed (undo, clear)
+           //            or brought back (redo)
+           { actionId: 0, type: "undo", time: 2000.00, strokeIds: [4] },
+           { actionId: 1, type: "redo", time: 2500.00, strokeIds: [4] },
+           { actionId: 2, type: "clear", time: 3000.00, strokeIds: [0, 1, 2, 3, 4] },
            ...
          ],
+         // Final drawing = strokes.filter(s => s.removedAt === null)
          gazeData: [
-           { x: 500, y: 300, time: 1234.56 },
-           { x: 502, y: 301, time: 1250.23 },
+           // x, y: viewport CSS px (raw WebGazer prediction, clamped to the window)
+           // canvasX, canvasY: canvas-local CSS px — same frame as stroke points
+           // region: "canvas", "toolbar", "topbar", "stimulus", "prompt",
+           //         "stimulusOverlay", "other" or "offscreen"
+           // time: when the camera frame was captured;
+           // predictedAt: when WebGazer's prediction for it arrived
+           // eyesValid ... distanceCm: tracking quality of the frame
+           //   (see assessEyePatches in eyetracking.js); a sample with
+           //   eyesValid false (eyes closed / looking down) is suspect
+           { x: 500, y: 348, canvasX: 500, canvasY: 300, region: "canvas",
+             time: 1234.56, predictedAt: 1281.02, eyesValid: true,
+             eyeOpenness: 0.34, headX: 0.512, headY: 0.468, distanceCm: 52 },
+           ...
+         ],
+         // Sustained tracking dropouts (≥ 0.5 s): no face, unusable eyes,
+         // no prediction, or no camera frames at all. A "lost" without a
+         // "recovered" lasted until the trial ended.
+         trackingEvents: [
+           { type: "lost", time: 3000.00, reason: "noFace" },   // "eyesInvalid", "noPrediction", "noFrames"
+           { type: "recovered", time: 4200.00, lostFor: 1200.00 },
+           ...
+         ],
+         // The same samples after gazeFilter; [] unless gazeFilter.recorded
+         gazeFiltered: [
+           { x: 500, y: 348, canvasX: 500, canvasY: 300, region: "canvas", time: 1234.56 },
+           ...
+         ],
+         // Detected when the trial ends (offscreen samples excluded);
+         // null / [] if gaze wasn't recorded or detection is off
+         fixationDetection: {
+           algorithm: "idt",            // "idt" or "ivt"
+           params: { maxDispersionDeg: 2.5, minDurationMs: 100, maxGapMs: 150 },
+           geometry: { pxPerCm: 37.8, viewingDistanceCm: 50 }
+         },
+         fixations: [
+           // x, y / canvasX, canvasY: centroid; dispersion = (max−min x) + (max−min y)
+           { startTime: 1234.56, endTime: 1480.10, duration: 245.5,
+             x: 501.2, y: 350.3, canvasX: 501.2, canvasY: 302.3,
+             dispersionPx: 40.2, dispersionDeg: 1.22, sampleCount: 8 },
+           ...
+         ],
+         saccades: [
+           // between fixations[fromFixation] and fixations[toFixation]
+           { startTime: 1480.10, endTime: 1530.00, duration: 49.9,
+             fromFixation: 0, toFixation: 1, amplitudePx: 310.5,
+             amplitudeDeg: 9.41, peakVelocityDegPerS: 190.2 },
            ...
          ]
        }
      ]
    }
+
+   PERSISTENCE:
+   If a SessionStore is attached (attachPersistence), every change
+   is mirrored to IndexedDB as it happens — see persistence.js.
    ============================================================ */
 
+import { GAZE_CHUNK_SIZE } from './persistence.js';
+import { classifyGaze } from './fixations.js';
+
 export class DataStore {
   constructor() {
     // The epoch for all timestamps in this session.
@@ -63,14 +230,22 @@ export class DataStore {
 
     // Main data container
     this.sessionData = {
+      sessionId: `${this.sessionStartEpoch.toString(36)}-${Math.random().toString(36).slice(2, 6)}`,
       participantId: '',
       sessionStartTime: this.sessionStartEpoch,
       screenWidth: window.innerWidth,
       screenHeight: window.innerHeight,
       canvasWidth: 0,    // set later when canvas is ready
       canvasHeight: 0,
+      canvasRect: null,
       devicePixelRatio: window.devicePixelRatio || 1,
       userAgent: navigator.userAgent,
+      gazeTimeSource: null,
+      gazeFilter: null,
+      experiment: null,
+      calibrations: [],
+      driftChecks: [],
+      resumes: [],
       trials: []
     };
 
@@ -78,6 +253,15 @@ export class DataStore {
     this._currentTrial = null;
     this._currentStroke = null;
     this._strokeCounter = 0;
+
+    // Fixation detection settings (see setFixationDetection)
+    this._fixationConfig = null;
+
+    // Optional IndexedDB mirror (see attachPersistence)
+    this._persistence = null;
+    this._status = 'active';
+    // Gaze points of the current trial already saved, per stream
+    this._gazePersisted = { gazeData: 0, gazeFiltered: 0 };
   }
 
   /* ----------------------------------------------------------
@@ -89,16 +273,266 @@ export class DataStore {
     return performance.now() - this.sessionStartPerf;
   }
 
+  /**
+   * Map a performance.now()-based timestamp (Event.timeStamp, video
+   * frame times) onto the session clock.
+   */
+  toSessionTime(perfTime) {
+    return perfTime - this.sessionStartPerf;
+  }
+
   /* ----------------------------------------------------------
      SESSION SETUP
      ---------------------------------------------------------- */
   setParticipantId(id) {
     this.sessionData.participantId = id;
+    this._persistSession();
   }
 
   setCanvasSize(width, height) {
     this.sessionData.canvasWidth = width;
     this.sessionData.canvasHeight = height;
+    this._persistSession();
+  }
+
+  /**
+   * Record where the canvas sits in the viewport (CSS px). Gaze is
+   * predicted in viewport coordinates and strokes in canvas-local
+   * ones; this rect is the offset between the two.
+   * @param {DOMRect} rect - canvas.getBoundingClientRect()
+   */
+  setCanvasRect(rect) {
+    const round = (v) => Math.round(v * 10) / 10;
+    const canvasRect = {
+      left: round(rect.left),
+      top: round(rect.top),
+      width: round(rect.width),
+      height: round(rect.height)
+    };
+    const prev = this.sessionData.canvasRect;
+    const changed = !prev || Object.keys(canvasRect).some(k => canvasRect[k] !== prev[k]);
+    this.sessionData.canvasRect = canvasRect;
+    if (!changed) return;
+
+    if (this._currentTrial) {
+      this._currentTrial.canvasRectChanges.push({ time: this.now(), ...canvasRect });
+      this._persistTrial(this._currentTrial);
+    }
+    this._persistSession();
+  }
+
+  /**
+   * Record what gaze timestamps are based on (see addGazePoint).
+   * @param {string} source - "captureTime", "presentationTime",
+   *   "grabTime" or "handler"
+   */
+  setGazeTimeSource(source) {
+    if (this.sessionData.gazeTimeSource === source) return;
+    this.sessionData.gazeTimeSource = source;
+    this._persistSession();
+  }
+
+  /**
+   * Record how the gaze dot (and gazeFiltered) was smoothed.
+   * @param {Object} settings - from GazeFilter.describe(), plus webgazerKalman
+   */
+  setGazeFilter(settings) {
+    this.sessionData.gazeFilter = settings;
+    this._persistSession();
+  }
+
+  /**
+   * Record which experiment definition (and trial order) this session runs.
+   * @param {Object} experimentInfo - from Experiment.describe()
+   */
+  setExperiment(experimentInfo) {
+    this.sessionData.experiment = experimentInfo;
+    this._persistSession();
+  }
+
+  /**
+   * Classify each gaze trial's samples into fixations and saccades
+   * when it ends.
+   * @param {Object|null} config - Experiment.fixations, or null to skip
+   */
+  setFixationDetection(config) {
+    this._fixationConfig = config;
+  }
+
+  /* ----------------------------------------------------------
+     CALIBRATION LOG
+     ---------------------------------------------------------- */
+
+  /**
+   * Begin a calibration entry.
+   * @param {string} type - "initial" or "recalibration"
+   * @param {Object} [context] - { trigger, beforeTrial } for recalibrations
+   * @param {Object|null} [headPose] - from EyeTracker.runHeadPositioning()
+   * @returns {Object} the new entry
+   */
+  startCalibration(type, context = {}, headPose = null) {
+    const entry = {
+      type: type,
+      trigger: context.trigger ?? null,
+      beforeTrial: context.beforeTrial ?? null,
+      startTime: this.now(),
+      endTime: null,
+      headPose: headPose,
+      procedure: null,
+      validation: null
+    };
+    this.sessionData.calibrations.push(entry);
+    this._persistSession();
+    return entry;
+  }
+
+  /**
+   * Close the latest calibration entry.
+   * @param {Object|null} [procedure] - from EyeTracker.runCalibration()
+   */
+  endCalibration(procedure = null) {
+    const entry = this.sessionData.calibrations.at(-1);
+    if (!entry) return;
+    entry.endTime = this.now();
+    entry.procedure = procedure;
+    this._persistSession();
+  }
+
+  /**
+   * Attach a validation result to the latest calibration entry.
+   * @param {Object} result - from EyeTracker.runValidation()
+   */
+  recordValidation(result) {
+    const entry = this.sessionData.calibrations.at(-1);
+    if (!entry) return;
+    entry.validation = result;
+    this._persistSession();
+  }
+
+  /**
+   * Log a between-trial drift check.
+   * @param {number} beforeTrial - the trial number that follows
+   * @param {Object} result - from EyeTracker.runDriftCheck()
+   * @param {boolean} recalibrated - whether it triggered a recalibration
+   */
+  recordDriftCheck(beforeTrial, result, recalibrated) {
+    this.sessionData.driftChecks.push({ beforeTrial, ...result, recalibrated });
+    this._persistSession();
+  }
+
+  /* ----------------------------------------------------------
+     PERSISTENCE & RESUME
+     ---------------------------------------------------------- */
+
+  /**
+   * Mirror all further changes to IndexedDB.
+   * @param {SessionStore} store
+   */
+  attachPersistence(store) {
+    this._persistence = store;
+    this._persistSession();
+  }
+
+  /**
+   * Replace this store's contents with a session loaded from IndexedDB
+   * and continue its clock. Trials that never ended are marked
+   * interrupted; the next startTrial() continues after them.
+   * @param {Object} sessionData - from SessionStore.loadSession()
+   */
+  restore(sessionData) {
+    this.sessionData = sessionData;
+    this.sessionData.resumes = this.sessionData.resumes || [];
+    this.sessionData.calibrations = this.sessionData.calibrations || [];
+    this.sessionData.driftChecks = this.sessionData.driftChecks || [];
+    this.sessionStartEpoch = sessionData.sessionStartTime;
+    // Keep timestamps on the original session clock
+    this.sessionStartPerf = performance.now() - (Date.now() - this.sessionStartEpoch);
+
+    for (const trial of this.sessionData.trials) {
+      trial.gazeFiltered = trial.gazeFiltered || [];
+      trial.trackingEvents = trial.trackingEvents || [];
+      if (trial.endTime === null) {
+        trial.interrupted = true;
+        trial.endReason = 'interrupted';
+        const lastTimes = [
+          trial.startTime,
+          ...trial.strokes.map(s => s.endTime ?? s.startTime),
+          ...trial.gazeData.slice(-1).map(g => g.time)
+        ];
+        trial.endTime = Math.max(...lastTimes);
+      }
+    }
+
+    this._currentTrial = null;
+    this._currentStroke = null;
+    this._status = 'active';
+  }
+
+  /**
+   * Note (in the data and in IndexedDB) that the session was resumed.
+   */
+  recordResume() {
+    this.sessionData.resumes.push({
+      time: this.now(),
+      resumedAt: Date.now(),
+      completedTrials: this.sessionData.trials.length
+    });
+    this._persistSession();
+    for (const trial of this.sessionData.trials) {
+      if (!trial.interrupted) continue;
+      if (!trial.fixationDetection) this._detectFixations(trial);
+      this._persistTrial(trial);
+    }
+  }
+
+  /**
+   * Flag the stored session as finished so it isn't offered for resume.
+   * @param {string} [status] - "complete" or "abandoned"
+   */
+  markFinished(status = 'complete') {
+    this._status = status;
+    this._persistSession();
+  }
+
+  _persistSession() {
+    if (!this._persistence || !this.sessionData.participantId) return;
+    const { trials, ...meta } = this.sessionData;
+    this._persistence.saveSession(this.sessionData.sessionId, meta, {
+      status: this._status,
+      trialsStarted: trials.length
+    });
+  }
+
+  _persistTrial(trial) {
+    if (!this._persistence || !this.sessionData.participantId) return;
+    const { strokes, gazeData, gazeFiltered, ...header } = trial;
+    this._persistence.saveTrial(this.sessionData.sessionId, header);
+  }
+
+  _persistStroke(trial, stroke) {
+    if (!this._persistence || !this.sessionData.participantId) return;
+    this._persistence.saveStroke(this.sessionData.sessionId, trial.trialNumber, stroke);
+  }
+
+  /**
+   * Save any gaze points not yet written, in whole chunks
+   * (or everything that's left, when `final`).
+   */
+  _persistGaze(trial, final = false) {
+    if (!this._persistence || !this.sessionData.participantId) return;
+    for (const stream of ['gazeData', 'gazeFiltered']) {
+      const gaze = trial[stream];
+      while (gaze.length - this._gazePersisted[stream] >= GAZE_CHUNK_SIZE ||
+             (final && gaze.length > this._gazePersisted[stream])) {
+        const offset = this._gazePersisted[stream];
+        const end = Math.min(offset + GAZE_CHUNK_SIZE, gaze.length);
+        this._persistence.saveGazeChunk(
+          this.sessionData.sessionId, trial.trialNumber, offset, gaze.slice(offset, end),
+          stream === 'gazeFiltered'
+        );
+        this._gazePersisted[stream] = end;
+      }
+    }
   }
 
   /* ----------------------------------------------------------
@@ -107,36 +541,87 @@ export class DataStore {
 
   /**
    * Start a new trial. Returns the trial number (1-indexed).
+   * @param {Object} [trialDef] - Normalized trial from the experiment definition
    */
-  startTrial() {
+  startTrial(trialDef = {}) {
     const trialNumber = this.sessionData.trials.length + 1;
     this._strokeCounter = 0;
 
     this._currentTrial = {
       trialNumber: trialNumber,
+      trialId: trialDef.id ?? null,
+      instructions: trialDef.instructions ?? '',
+      timeLimit: trialDef.timeLimit ?? null,
+      recordGaze: trialDef.recordGaze !== false,
       startTime: this.now(),
       endTime: null,
+      endReason: null,
+      interrupted: false,
+      canvasRect: this.sessionData.canvasRect,
+      canvasRectChanges: [],
+      stimulus: null,
       strokes: [],
-      actions: [],     // undo, clear, etc.
-      gazeData: []
+      actions: [],     // undo, redo, clear
+      gazeData: [],
+      gazeFiltered: [],
+      trackingEvents: [],
+      fixationDetection: null,
+      fixations: [],
+      saccades: []
     };
 
     this.sessionData.trials.push(this._currentTrial);
+    this._gazePersisted = { gazeData: 0, gazeFiltered: 0 };
+    this._persistTrial(this._currentTrial);
+    this._persistSession();
     return trialNumber;
   }
 
   /**
    * End the current trial.
+   * @param {string} [reason] - "button" (participant/experimenter) or "timeout"
    */
-  endTrial() {
+  endTrial(reason = 'button') {
     if (this._currentTrial) {
       this._currentTrial.endTime = this.now();
+      this._currentTrial.endReason = reason;
       // Finalize any in-progress stroke
       this.endStroke();
+      this._detectFixations(this._currentTrial);
+      this._persistGaze(this._currentTrial, true);
+      this._persistTrial(this._currentTrial);
       this._currentTrial = null;
     }
   }
 
+  /**
+   * Classify a finished trial's gaze (see fixations.js). A failure is
+   * logged and leaves the raw gaze untouched.
+   */
+  _detectFixations(trial) {
+    const config = this._fixationConfig;
+    if (!config || !trial.recordGaze) return;
+    try {
+      const { fixations, saccades, ...detection } = classifyGaze(trial.gazeData, config, config.geometry);
+      trial.fixationDetection = detection;
+      trial.fixations = fixations;
+      trial.saccades = saccades;
+    } catch (err) {
+      console.warn('Fixation detection failed:', err);
+    }
+  }
+
+  /**
+   * Attach the stimulus record to the current trial.
+   * The presenter keeps a reference and fills in hiddenAt later.
+   * @param {Object} record - See the stimulus block in the structure above
+   */
+  setStimulus(record) {
+    if (!this._currentTrial) return;
+    this._currentTrial.stimulus = record;
+    this._persistTrial(this._currentTrial);
+  }
+
   /**
    * Check if a trial is currently active.
    */
@@ -154,21 +639,28 @@ export class DataStore {
    * @param {string} tool - "pen" or "eraser"
    * @param {string} color - hex color string
    * @param {number} thickness - line width in pixels
+   * @param {string} [pointerType] - "pen", "touch" or "mouse"
+   * @param {number} [time] - session time of the pointerdown (defaults to now)
+   * @returns {number|null} the new stroke's ID (null outside a trial)
    */
-  startStroke(tool, color, thickness) {
-    if (!this._currentTrial) return;
+  startStroke(tool, color, thickness, pointerType = null, time = this.now()) {
+    if (!this._currentTrial) return null;
 
     this._currentStroke = {
       strokeId: this._strokeCounter++,
       tool: tool,
       color: color,
       thickness: thickness,
-      startTime: this.now(),
+      pointerType: pointerType,
+      startTime: time,
       endTime: null,
+      removedAt: null,
+      removedBy: null,
       points: []
     };
 
     this._currentTrial.strokes.push(this._currentStroke);
+    return this._currentStroke.strokeId;
   }
 
   /**
@@ -176,39 +668,91 @@ export class DataStore {
    * @param {number} x - x coordinate on canvas
    * @param {number} y - y coordinate on canvas
    * @param {number} pressure - Apple Pencil pressure (0-1), defaults to 0.5
+   * @param {Object} [pen] - Stylus orientation and contact size
+   *   { tiltX, tiltY, altitudeAngle, azimuthAngle, twist, width, height }
+   * @param {number} [time] - session time of the sample (defaults to now)
    */
-  addStrokePoint(x, y, pressure = 0.5) {
+  addStrokePoint(x, y, pressure = 0.5, pen = {}, time = this.now()) {
     if (!this._currentStroke) return;
 
+    const round = (v, places) => (v === undefined || v === null)
+      ? null
+      : Math.round(v * 10 ** places) / 10 ** places;
+
     this._currentStroke.points.push({
-      x: Math.round(x * 100) / 100,  // round to 2 decimal places
-      y: Math.round(y * 100) / 100,
-      pressure: Math.round(pressure * 1000) / 1000,
-      time: this.now()
+      x: round(x, 2),  // round to 2 decimal places
+      y: round(y, 2),
+      pressure: round(pressure, 3),
+      tiltX: round(pen.tiltX, 1),
+      tiltY: round(pen.tiltY, 1),
+      altitudeAngle: round(pen.altitudeAngle, 4),
+      azimuthAngle: round(pen.azimuthAngle, 4),
+      twist: round(pen.twist, 1),
+      width: round(pen.width, 2),
+      height: round(pen.height, 2),
+      time: time
     });
   }
 
   /**
    * End the current stroke.
+   * @param {number} [time] - session time of the pointerup (defaults to now)
    */
-  endStroke() {
+  endStroke(time = this.now()) {
     if (this._currentStroke) {
-      this._currentStroke.endTime = this.now();
+      this._currentStroke.endTime = time;
+      this._persistStroke(this._currentTrial, this._currentStroke);
       this._currentStroke = null;
     }
   }
 
+  /**
+   * Drop the stroke in progress without keeping it (e.g. the first
+   * finger of a multi-finger gesture). Its strokeId is not reused.
+   */
+  cancelStroke() {
+    if (!this._currentStroke) return;
+    const strokes = this._currentTrial.strokes;
+    strokes.splice(strokes.indexOf(this._currentStroke), 1);
+    this._currentStroke = null;
+  }
+
   /* ----------------------------------------------------------
      ACTION RECORDING
-     Records non-drawing actions (undo, clear) for analysis.
+     Records non-drawing actions (undo, redo, clear) for analysis,
+     together with their effect on the strokes.
      ---------------------------------------------------------- */
-  recordAction(actionType) {
+
+  /**
+   * @param {string} actionType - "undo", "redo" or "clear"
+   * @param {number[]} [strokeIds] - strokes removed (undo, clear) or
+   *   restored (redo) by this action
+   */
+  recordAction(actionType, strokeIds = []) {
     if (!this._currentTrial) return;
 
-    this._currentTrial.actions.push({
+    const trial = this._currentTrial;
+    const time = this.now();
+    trial.actions.push({
+      actionId: trial.actions.length,
       type: actionType,
-      time: this.now()
+      time: time,
+      strokeIds: [...strokeIds]
     });
+
+    // Mark the affected strokes so the final drawing can be read off the data
+    const restored = actionType === 'redo';
+    for (const stroke of this._findStrokes(strokeIds)) {
+      stroke.removedAt = restored ? null : time;
+      stroke.removedBy = restored ? null : actionType;
+      this._persistStroke(trial, stroke);
+    }
+    this._persistTrial(trial);
+  }
+
+  _findStrokes(strokeIds) {
+    if (!this._currentTrial) return [];
+    return this._currentTrial.strokes.filter(s => strokeIds.includes(s.strokeId));
   }
 
   /* ----------------------------------------------------------
@@ -218,17 +762,64 @@ export class DataStore {
 
   /**
    * Record a gaze point.
-   * @param {number} x - gaze x on screen
-   * @param {number} y - gaze y on screen
+   * @param {number} x - gaze x on screen (viewport CSS px)
+   * @param {number} y - gaze y on screen (viewport CSS px)
+   * @param {Object} [frame] - The same point relative to the canvas
+   * @param {number} frame.canvasX - x in canvas-local CSS px
+   * @param {number} frame.canvasY - y in canvas-local CSS px
+   * @param {string} frame.region - screen region the gaze fell on
+   * @param {Object} [frame.quality] - tracking quality of the camera frame
+   * @param {number} [time] - session time of the camera frame the
+   *   prediction was made from (defaults to now). How it was obtained
+   *   is recorded once per session in gazeTimeSource.
    */
-  addGazePoint(x, y) {
+  addGazePoint(x, y, frame = {}, time = this.now()) {
     if (!this._currentTrial) return;
 
+    const quality = frame.quality || {};
     this._currentTrial.gazeData.push({
+      ...this._gazeSample(x, y, frame, time),
+      predictedAt: this.now(),
+      eyesValid: quality.eyesValid ?? null,
+      eyeOpenness: quality.eyeOpenness ?? null,
+      headX: quality.headX ?? null,
+      headY: quality.headY ?? null,
+      distanceCm: quality.distanceCm ?? null
+    });
+    this._persistGaze(this._currentTrial);
+  }
+
+  /**
+   * Log a tracking loss or recovery in the current trial.
+   * @param {Object} event - { type: "lost", time, reason } or
+   *   { type: "recovered", time, lostFor }
+   */
+  addTrackingEvent(event) {
+    if (!this._currentTrial) return;
+    this._currentTrial.trackingEvents.push(event);
+    this._persistTrial(this._currentTrial);
+  }
+
+  /**
+   * Record a smoothed gaze point (see gazefilter.js) — same arguments
+   * as addGazePoint(), with `time` the raw sample's.
+   */
+  addFilteredGazePoint(x, y, frame = {}, time = this.now()) {
+    if (!this._currentTrial) return;
+
+    this._currentTrial.gazeFiltered.push(this._gazeSample(x, y, frame, time));
+    this._persistGaze(this._currentTrial);
+  }
+
+  _gazeSample(x, y, frame, time) {
+    return {
       x: Math.round(x * 10) / 10,
       y: Math.round(y * 10) / 10,
-      time: this.now()
-    });
+      canvasX: frame.canvasX !== undefined ? Math.round(frame.canvasX * 10) / 10 : null,
+      canvasY: frame.canvasY !== undefined ? Math.round(frame.canvasY * 10) / 10 : null,
+      region: frame.region || null,
+      time: time
+    };
   }
 
   /* ----------------------------------------------------------
@@ -253,7 +844,8 @@ export class DataStore {
         duration: durationSec,
         strokeCount: trial.strokes.length,
         gazePointCount: trial.gazeData.length,
-        actionCount: trial.actions.length
+        actionCount: trial.actions.length,
+        interrupted: !!trial.interrupted
       };
     });
   }
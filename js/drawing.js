@@ -6,17 +6,26 @@
    FEATURES:
    - Pen tool with color and thickness
    - Eraser tool
-   - Undo (removes last stroke)
+   - Undo (removes last stroke) and redo (brings it back)
    - Clear canvas
+   - Three-finger tap gesture (app.js maps it to redo)
    - Apple Pencil pressure sensitivity
+   - Full stylus capture: every coalesced sample (up to 240Hz on
+     Apple Pencil) with tilt, altitude/azimuth, twist and contact
+     size, plus the pointer type per stroke
    - High-DPI canvas scaling (Retina displays)
    
    ARCHITECTURE:
    We keep a "stroke history" array. Each time we undo or need
    to re-render, we replay all strokes from scratch. This is
    simple and reliable (no complex state management needed).
+   Undo and clear move strokes onto a redo stack; drawing a new
+   stroke empties it. How a stroke looks (pen vs eraser) lives in
+   strokerender.js, shared with the replay player.
    ============================================================ */
 
+import { CANVAS_BACKGROUND, applyStrokeStyle, drawStrokes } from './strokerender.js';
+
 export class DrawingEngine {
   /**
    * @param {HTMLCanvasElement} canvas - The drawing canvas element
@@ -37,9 +46,21 @@ export class DrawingEngine {
     this.enabled = false;     // Drawing only allowed during active trial
 
     // Stroke history for undo/redo
-    // Each entry is an array of points with tool settings
+    // Each entry is an array of points with tool settings, plus the
+    // DataStore strokeId so undo/clear can say which strokes they removed
     this._strokeHistory = [];
     this._currentPoints = [];
+    this._currentStrokeId = null;
+    this._currentPointerType = null;
+
+    // Each entry is the group of history entries one undo/clear removed
+    this._redoStack = [];
+
+    // Multi-finger tap tracking
+    this._gestureStart = null;
+
+    /** Called on a three-finger tap on the canvas (set by app.js) */
+    this.onThreeFingerTap = null;
 
     // Set up the canvas for high-DPI screens
     this._setupHiDPI();
@@ -83,8 +104,10 @@ export class DrawingEngine {
     this.logicalWidth = rect.width;
     this.logicalHeight = rect.height;
 
-    // Tell the data store about our canvas size
+    // Tell the data store about our canvas size and where it sits on screen
+    // (stroke points are canvas-local; gaze is mapped into the same frame)
     this.dataStore.setCanvasSize(rect.width, rect.height);
+    this.dataStore.setCanvasRect(this.canvas.getBoundingClientRect());
 
     // Clear to white
     this._clearCanvas();
@@ -115,32 +138,98 @@ export class DrawingEngine {
     c.addEventListener('pointerleave', (e) => this._onPointerUp(e));
 
     // Prevent default touch behaviors (scrolling, zooming)
-    c.addEventListener('touchstart', (e) => e.preventDefault(), { passive: false });
+    c.addEventListener('touchstart', (e) => {
+      e.preventDefault();
+      this._onTouchStart(e);
+    }, { passive: false });
     c.addEventListener('touchmove', (e) => e.preventDefault(), { passive: false });
+    c.addEventListener('touchend', (e) => this._onTouchEnd(e));
+    c.addEventListener('touchcancel', () => { this._gestureStart = null; });
+  }
+
+  /**
+   * Detect a three-finger tap. The first finger has already started
+   * a stroke by the time the third lands, so that stroke is dropped.
+   * Apple Pencil touches don't count, and never lose their stroke.
+   */
+  _onTouchStart(e) {
+    const fingers = [...e.touches].filter(t => t.touchType !== 'stylus');
+    if (fingers.length < 3) return;
+
+    if (this._gestureStart === null) this._gestureStart = performance.now();
+    if (this.isDrawing && this._currentPointerType === 'touch') {
+      this._cancelStroke();
+    }
+  }
+
+  _onTouchEnd(e) {
+    if (this._gestureStart === null || e.touches.length > 0) return;
+
+    const duration = performance.now() - this._gestureStart;
+    this._gestureStart = null;
+    if (duration < 400 && this.onThreeFingerTap) this.onThreeFingerTap();
   }
 
   /**
    * Convert a pointer event to canvas-local coordinates.
-   * Returns { x, y, pressure }.
+   * Returns { x, y, pressure, pen, time }, where pen holds the stylus
+   * orientation and contact size (undefined fields where unsupported)
+   * and time is when the sample happened, on the session clock.
    */
-  _getPointerPos(e) {
-    const rect = this.canvas.getBoundingClientRect();
+  _getPointerPos(e, rect = this.canvas.getBoundingClientRect()) {
     return {
       x: e.clientX - rect.left,
       y: e.clientY - rect.top,
+      time: this._eventTime(e),
       // Apple Pencil provides pressure via PointerEvent.pressure
       // Mouse defaults to 0.5
-      pressure: e.pressure !== undefined ? e.pressure : 0.5
+      pressure: e.pressure !== undefined ? e.pressure : 0.5,
+      pen: {
+        tiltX: e.tiltX,
+        tiltY: e.tiltY,
+        altitudeAngle: e.altitudeAngle,
+        azimuthAngle: e.azimuthAngle,
+        twist: e.twist,
+        width: e.width,
+        height: e.height
+      }
     };
   }
 
+  /**
+   * Session time of an event, from its own timeStamp rather than the
+   * moment the handler runs (handlers can lag the input by a frame
+   * or more, and coalesced samples all arrive in one handler call).
+   * Falls back to now() for events without a usable timeStamp.
+   */
+  _eventTime(e) {
+    const stamp = e.timeStamp;
+    if (!(stamp > 0) || stamp > performance.now() + 1000) return this.dataStore.now();
+    return this.dataStore.toSessionTime(stamp);
+  }
+
+  /**
+   * All samples the browser merged into this pointermove. On Apple
+   * Pencil that is up to four 240Hz samples per 60Hz event; the
+   * dispatched event itself is only the last of them.
+   */
+  _getCoalescedEvents(e) {
+    if (typeof e.getCoalescedEvents !== 'function') return [e];
+    const events = e.getCoalescedEvents();
+    return events.length > 0 ? events : [e];
+  }
+
   _onPointerDown(e) {
     if (!this.enabled) return;
 
     // Only respond to primary pointer (ignore palm rejection on iPad)
     if (!e.isPrimary) return;
 
+    // Fingers that land during a multi-finger gesture don't draw
+    if (this._gestureStart !== null) return;
+
     this.isDrawing = true;
+    this._currentPointerType = e.pointerType;
     const pos = this._getPointerPos(e);
 
     // Start recording this stroke
@@ -148,8 +237,10 @@ export class DrawingEngine {
     this._addPoint(pos);
 
     // Record in data store
-    this.dataStore.startStroke(this.tool, this.color, this.thickness);
-    this.dataStore.addStrokePoint(pos.x, pos.y, pos.pressure);
+    this._currentStrokeId = this.dataStore.startStroke(
+      this.tool, this.color, this.thickness, e.pointerType, pos.time
+    );
+    this.dataStore.addStrokePoint(pos.x, pos.y, pos.pressure, pos.pen, pos.time);
 
     // Begin the visual path
     this.ctx.beginPath();
@@ -161,18 +252,22 @@ export class DrawingEngine {
     if (!this.isDrawing || !this.enabled) return;
     if (!e.isPrimary) return;
 
-    const pos = this._getPointerPos(e);
-    this._addPoint(pos);
+    const rect = this.canvas.getBoundingClientRect();
+    for (const sample of this._getCoalescedEvents(e)) {
+      const pos = this._getPointerPos(sample, rect);
+      this._addPoint(pos);
 
-    // Record in data store
-    this.dataStore.addStrokePoint(pos.x, pos.y, pos.pressure);
+      // Record in data store
+      this.dataStore.addStrokePoint(pos.x, pos.y, pos.pressure, pos.pen, pos.time);
 
-    // Draw the line segment
-    this.ctx.lineTo(pos.x, pos.y);
+      // Draw the line segment
+      this.ctx.lineTo(pos.x, pos.y);
+    }
     this.ctx.stroke();
-    // Continue the path from this point
+    // Continue the path from the last point
+    const last = this._currentPoints[this._currentPoints.length - 1];
     this.ctx.beginPath();
-    this.ctx.moveTo(pos.x, pos.y);
+    this.ctx.moveTo(last.x, last.y);
   }
 
   _onPointerUp(e) {
@@ -180,9 +275,11 @@ export class DrawingEngine {
 
     this.isDrawing = false;
 
-    // Save this stroke to history (for undo)
+    // Save this stroke to history (for undo); it makes redo impossible
     if (this._currentPoints.length > 0) {
+      this._redoStack = [];
       this._strokeHistory.push({
+        strokeId: this._currentStrokeId,
         tool: this.tool,
         color: this.color,
         thickness: this.thickness,
@@ -191,10 +288,21 @@ export class DrawingEngine {
     }
 
     // End recording in data store
-    this.dataStore.endStroke();
+    this.dataStore.endStroke(this._eventTime(e));
     this._currentPoints = [];
   }
 
+  /**
+   * Abandon the stroke in progress: it leaves no trace in the
+   * history, the data or on the canvas.
+   */
+  _cancelStroke() {
+    this.isDrawing = false;
+    this._currentPoints = [];
+    this.dataStore.cancelStroke();
+    this._replayStrokes();
+  }
+
   _addPoint(pos) {
     this._currentPoints.push({
       x: pos.x,
@@ -211,19 +319,7 @@ export class DrawingEngine {
    * Apply the current tool's visual style to the canvas context.
    */
   _applyToolStyle() {
-    const ctx = this.ctx;
-    ctx.lineCap = 'round';
-    ctx.lineJoin = 'round';
-
-    if (this.tool === 'eraser') {
-      ctx.globalCompositeOperation = 'destination-out';
-      ctx.strokeStyle = 'rgba(0,0,0,1)';
-      ctx.lineWidth = this.thickness * 4; // eraser is bigger
-    } else {
-      ctx.globalCompositeOperation = 'source-over';
-      ctx.strokeStyle = this.color;
-      ctx.lineWidth = this.thickness;
-    }
+    applyStrokeStyle(this.ctx, this);
   }
 
   /**
@@ -232,34 +328,7 @@ export class DrawingEngine {
    */
   _replayStrokes() {
     this._clearCanvas();
-    const ctx = this.ctx;
-
-    for (const stroke of this._strokeHistory) {
-      if (stroke.points.length === 0) continue;
-
-      ctx.beginPath();
-      ctx.lineCap = 'round';
-      ctx.lineJoin = 'round';
-
-      if (stroke.tool === 'eraser') {
-        ctx.globalCompositeOperation = 'destination-out';
-        ctx.strokeStyle = 'rgba(0,0,0,1)';
-        ctx.lineWidth = stroke.thickness * 4;
-      } else {
-        ctx.globalCompositeOperation = 'source-over';
-        ctx.strokeStyle = stroke.color;
-        ctx.lineWidth = stroke.thickness;
-      }
-
-      ctx.moveTo(stroke.points[0].x, stroke.points[0].y);
-      for (let i = 1; i < stroke.points.length; i++) {
-        ctx.lineTo(stroke.points[i].x, stroke.points[i].y);
-      }
-      ctx.stroke();
-    }
-
-    // Reset composite operation
-    ctx.globalCompositeOperation = 'source-over';
+    drawStrokes(this.ctx, this._strokeHistory);
   }
 
   /**
@@ -269,7 +338,7 @@ export class DrawingEngine {
     const ctx = this.ctx;
     ctx.save();
     ctx.globalCompositeOperation = 'source-over';
-    ctx.fillStyle = '#ffffff';
+    ctx.fillStyle = CANVAS_BACKGROUND;
     ctx.fillRect(0, 0, this.logicalWidth, this.logicalHeight);
     ctx.restore();
   }
@@ -298,18 +367,34 @@ export class DrawingEngine {
    */
   undo() {
     if (this._strokeHistory.length === 0) return;
-    this._strokeHistory.pop();
+    const stroke = this._strokeHistory.pop();
+    this._redoStack.push([stroke]);
     this._replayStrokes();
-    this.dataStore.recordAction('undo');
+    this.dataStore.recordAction('undo', [stroke.strokeId]);
+  }
+
+  /**
+   * Bring back whatever the last undo or clear removed.
+   */
+  redo() {
+    if (this._redoStack.length === 0) return;
+    const strokes = this._redoStack.pop();
+    this._strokeHistory.push(...strokes);
+    this._replayStrokes();
+    this.dataStore.recordAction('redo', strokes.map(s => s.strokeId));
   }
 
   /**
    * Clear the entire canvas and stroke history.
    */
   clearAll() {
+    const strokeIds = this._strokeHistory.map(s => s.strokeId);
+    if (this._strokeHistory.length > 0) {
+      this._redoStack.push(this._strokeHistory);
+    }
     this._strokeHistory = [];
     this._clearCanvas();
-    this.dataStore.recordAction('clear');
+    this.dataStore.recordAction('clear', strokeIds);
   }
 
   /**
@@ -332,14 +417,29 @@ export class DrawingEngine {
    */
   reset() {
     this._strokeHistory = [];
+    this._redoStack = [];
     this._currentPoints = [];
+    this._gestureStart = null;
     this._clearCanvas();
   }
 
   /**
    * Export the current canvas as a PNG data URL.
+   * @param {Object} [options]
+   * @param {boolean} [options.opaque=false] - flatten onto the canvas
+   *   background; otherwise eraser strokes (destination-out) leave
+   *   transparent holes
    */
-  exportPNG() {
-    return this.canvas.toDataURL('image/png');
+  exportPNG({ opaque = false } = {}) {
+    if (!opaque) return this.canvas.toDataURL('image/png');
+
+    const flat = document.createElement('canvas');
+    flat.width = this.canvas.width;
+    flat.height = this.canvas.height;
+    const ctx = flat.getContext('2d');
+    ctx.fillStyle = CANVAS_BACKGROUND;
+    ctx.fillRect(0, 0, flat.width, flat.height);
+    ctx.drawImage(this.canvas, 0, 0);
+    return flat.toDataURL('image/png');
   }
 }
\ No newline at end of file
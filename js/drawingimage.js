@@ -0,0 +1,105 @@
+/* ============================================================
+   drawingimage.js — Normalized Drawing Images
+   ============================================================
+   trialN.png is whatever the participant's canvas was: its size
+   depends on the window and devicePixelRatio. For comparing
+   drawings across devices (and training models on them), this
+   renders each trial's final drawing from its strokes into a
+   fixed-size square instead:
+
+     crop "drawing" — the bounding box of the pen strokes (plus
+                      half their width), scaled to fit the square
+                      inside `padding` and centred
+     crop "canvas"  — the whole canvas as the trial ended
+                      (canvasRectAt), scaled the same way
+
+   Strokes are drawn with the rules of strokerender.js on a layer,
+   so erasing doesn't cut through the background, which is then
+   flattened onto CANVAS_BACKGROUND. Pen lines are `thickness`
+   scaled with the drawing, or `lineWidth` output pixels if set.
+   ============================================================ */
+
+import { CANVAS_BACKGROUND, drawStrokes, visibleStrokesAt } from './strokerender.js';
+import { canvasRectAt } from './sessionfile.js';
+
+export const NORMALIZED_CROPS = ['drawing', 'canvas'];
+
+/**
+ * Where the drawing goes in the square (no canvas needed).
+ * @param {Object} sessionData - A parsed data.json
+ * @param {Object} trial - One of sessionData.trials
+ * @param {Object} options - Experiment.normalizedImages:
+ *   { size, crop, padding, lineWidth }
+ * @returns {{strokes: Object[], bounds: Object|null, scale: number|null,
+ *   offsetX: number, offsetY: number}} output px = offset + canvas px × scale;
+ *   bounds (canvas px) and scale are null for an empty drawing
+ */
+export function normalizedFrame(sessionData, trial, { size, crop, padding, lineWidth }) {
+  const strokes = visibleStrokesAt(trial);
+  let bounds = null;
+
+  if (crop === 'canvas') {
+    const rect = canvasRectAt(sessionData, trial);
+    if (rect.width > 0 && rect.height > 0) bounds = { x: 0, y: 0, width: rect.width, height: rect.height };
+  } else {
+    let minX = Infinity, minY = Infinity, maxX = -Infinity, maxY = -Infinity;
+    for (const stroke of strokes) {
+      if (stroke.tool === 'eraser' || stroke.points.length < 2) continue;
+      const half = lineWidth == null ? stroke.thickness / 2 : 0;
+      for (const p of stroke.points) {
+        minX = Math.min(minX, p.x - half);
+        minY = Math.min(minY, p.y - half);
+        maxX = Math.max(maxX, p.x + half);
+        maxY = Math.max(maxY, p.y + half);
+      }
+    }
+    if (minX <= maxX) bounds = { x: minX, y: minY, width: maxX - minX, height: maxY - minY };
+  }
+
+  if (!bounds) return { strokes, bounds: null, scale: null, offsetX: 0, offsetY: 0 };
+
+  const inner = size * (1 - 2 * padding);
+  const scale = inner / Math.max(bounds.width, bounds.height, 1);
+  return {
+    strokes,
+    bounds,
+    scale,
+    offsetX: (size - bounds.width * scale) / 2 - bounds.x * scale,
+    offsetY: (size - bounds.height * scale) / 2 - bounds.y * scale
+  };
+}
+
+/**
+ * Render the trial's normalized image.
+ * @param {Object} sessionData - A parsed data.json
+ * @param {Object} trial - One of sessionData.trials
+ * @param {Object} options - as for normalizedFrame
+ * @returns {Promise<{bytes: Uint8Array, frame: Object}>} the PNG and its frame
+ */
+export async function renderNormalized(sessionData, trial, options) {
+  const { size, lineWidth } = options;
+  const frame = normalizedFrame(sessionData, trial, options);
+
+  const canvas = document.createElement('canvas');
+  canvas.width = size;
+  canvas.height = size;
+  const ctx = canvas.getContext('2d');
+  ctx.fillStyle = CANVAS_BACKGROUND;
+  ctx.fillRect(0, 0, size, size);
+
+  if (frame.bounds) {
+    const layer = document.createElement('canvas');
+    layer.width = size;
+    layer.height = size;
+    const layerCtx = layer.getContext('2d');
+    layerCtx.setTransform(frame.scale, 0, 0, frame.scale, frame.offsetX, frame.offsetY);
+    const strokes = lineWidth == null ? frame.strokes : frame.strokes.map(stroke =>
+      stroke.tool === 'eraser' ? stroke : { ...stroke, thickness: lineWidth / frame.scale });
+    drawStrokes(layerCtx, strokes);
+    ctx.drawImage(layer, 0, 0);
+  }
+
+  const blob = await new Promise(resolve => canvas.toBlob(resolve, 'image/png'));
+  if (!blob) throw new Error(`Could not render the normalized image of trial ${trial.trialNumber}.`);
+  return { bytes: new Uint8Array(await blob.arrayBuffer()), frame };
+}
@@ -0,0 +1,704 @@
+/* ============================================================
+   experiment.js — Declarative Experiment Definition
+   ============================================================
+   Loads the study definition (experiment.json by default) and
+   turns it into a list of trials for app.js to run. A new study
+   should only need a new JSON file, never a code change.
+
+   Pick a different file with a URL parameter:
+     index.html?experiment=studies/copy-task.json
+
+   FILE FORMAT:
+
+   {
+     "id": "drawing-demo",              // saved with the session data
+     "title": "Drawing Study",          // welcome screen heading
+     "subtitle": "Eye Tracking & Freehand Drawing",
+     "order": "fixed",                  // "fixed" or "random"
+     "defaults": {                      // applied to every trial
+       "instructions": "",
+       "timeLimit": null,               // seconds, or null for no limit
+       "tools": ["pen", "eraser", "undo", "redo", "clear"],
+       "colors": [{ "value": "#1a1a2e", "label": "Black" }, ...],
+       "defaultColor": "#1a1a2e",
+       "thicknesses": [{ "value": 4, "label": "Medium" }, ...],
+       "defaultThickness": 4,
+       "recordGaze": true,
+       "stimulus": null
+     },
+     "trials": [
+       { "id": "free-1", "instructions": "Draw anything you like." },  // ids must be unique
+       { "id": "house", "instructions": "Draw a house.", "timeLimit": 60 },
+       { "id": "copy-cube", "stimulus": {
+           "id": "cube",
+           "prompt": "Copy this cube.",
+           "image": "stimuli/cube.png",
+           "mode": "side-by-side"       // see stimulus.js for all modes
+       } },
+       ...
+     ]
+   }
+
+   Any default can be overridden per trial. Colors and thicknesses
+   may also be given as bare values ("#e63946", 8).
+
+   STIMULUS FIELDS:
+     id              — name saved with the trial (defaults to image/prompt)
+     prompt          — text shown to the participant
+     image           — URL of a reference image
+     mode            — "prompt", "side-by-side", "before" or "underlay"
+                       (default: "side-by-side" with an image, else "prompt")
+     duration        — "before" mode: seconds to show it (null = Continue button)
+     side            — "side-by-side" mode: "left" (default) or "right"
+     underlayOpacity — "underlay" mode: 0–1 (default 0.25)
+
+   CALIBRATION (optional top-level block; defaults shown):
+     "calibration": {
+       "headPosition": {              // positioning guide before each calibration
+         "enabled": true,
+         "stableDuration": 2,         // s the face must stay in position
+         "minDistanceCm": 35,         // estimated eye-to-camera distance
+         "maxDistanceCm": 80,
+         "maxOffset": 0.15,           // face centre vs image centre (fraction of the image)
+         "minBrightness": 50          // mean camera brightness, 0–255
+       },
+       "procedure": {                 // how the model is trained
+         "mode": "click",             // "click", "stylus", "fixation" or "pursuit"
+         "points": 9,                 // 5, 9, 13 or 16, or a list of [x, y] % of screen
+                                      // (stylus: % of the drawing canvas)
+         "order": "fixed",            // "fixed" or "random"
+         "clicksPerPoint": 2,         // click/stylus: clicks (taps) needed on each dot
+         "pointerTypes": ["pen", "touch", "mouse"],  // stylus: taps that count
+         "settleDuration": 0.8,       // fixation/pursuit: s before sampling starts
+         "sampleDuration": 1.5,       // fixation: s of sampling per dot
+         "pursuitSpeed": 20           // pursuit: % of screen width per second
+       },
+       "validation": {
+         "enabled": true,
+         "points": [[30, 30], [70, 30], [50, 50], [30, 70], [70, 70]],  // % of screen
+         "settleDuration": 0.6,       // s before sampling each target
+         "sampleDuration": 1.5,       // s of samples per target
+         "pxPerCm": 37.8,             // CSS px per cm (~52 on iPads)
+         "viewingDistanceCm": 50,
+         "maxErrorDeg": 5,            // pass if mean accuracy ≤ this (null = ignore)
+         "maxErrorPx": null           // pass if mean accuracy ≤ this (null = ignore)
+       },
+       "reuseModel": {                // keep each participant's model for next time
+         "enabled": false,
+         "maxAgeDays": 30             // older models aren't offered (null = any age)
+       },
+       "driftCheck": {                // single central target between trials
+         "enabled": false,
+         "everyNTrials": 1,           // check before every Nth trial (from trial 2)
+         "settleDuration": 0.6,
+         "sampleDuration": 1.0,
+         "maxErrorDeg": 3,            // recalibrate if the offset is larger
+         "maxErrorPx": null
+       }
+     }
+
+   FIXATIONS (optional top-level block; defaults shown):
+     "fixations": {
+       "algorithm": "idt",            // "idt", "ivt", or null to skip
+       "idt": { "maxDispersionDeg": 2.5, "minDurationMs": 100, "maxGapMs": 150 },
+       "ivt": { "maxVelocityDegPerS": 80, "minDurationMs": 100, "maxGapMs": 150 }
+     }
+   Run over each gaze trial's samples when it ends (see fixations.js);
+   degrees use the validation pxPerCm / viewingDistanceCm.
+
+   GAZE FILTER (optional top-level block; defaults shown):
+     "gazeFilter": {
+       "type": "oneEuro",             // "none", "median", "oneEuro" or "kalman"
+       "record": false,               // also save the filtered stream (gazeFiltered)
+       "maxGapMs": 500,               // restart after a longer tracking gap
+       "median": { "windowSize": 5 },
+       "oneEuro": { "minCutoff": 0.5, "beta": 0.003, "dCutoff": 1 },
+       "kalman": { "accelerationStdPx": 3000, "measurementStdPx": 60 },
+       "outlier": { "enabled": false, "windowSize": 5, "maxDeviationPx": 300 }
+     }
+   Smooths the gaze dot (see gazefilter.js); raw gaze is always recorded.
+
+   UPLOAD (optional top-level block; defaults shown):
+     "upload": {
+       "endpoint": null,              // receiver base URL, e.g. "https://lab.example.org/drawing"
+       "token": null,                 // sent as "Authorization: Bearer <token>"
+       "chunkSize": 1048576,          // bytes per request
+       "maxRetries": 5,               // per request, before waiting for the next attempt
+       "retryDelay": 1                // s before the first retry; doubles each time
+     }
+   With an endpoint, the bundle is uploaded when the study ends (see
+   uploader.js); downloading stays available. Without one, null.
+
+   EXPORT (optional top-level block; defaults shown):
+     "export": {
+       "csv": true,                   // true = all tables, false = none, or a list
+                                      // from "trials", "strokes", "strokes_points",
+                                      // "gaze", "actions"
+       "svg": {                       // or true / false
+         "enabled": true,             // trialN.svg next to each trialN.png
+         "pressure": false            // pen width follows stylus pressure
+       },
+       "opaque": true,                // trialN.png flattened onto the canvas
+                                      // background (no transparent eraser holes)
+       "normalized": {                // trialN_normalized.png, from the strokes
+         "enabled": false,
+         "size": 256,                 // px, square
+         "crop": "drawing",           // or "canvas"
+         "padding": 0.05,             // fraction of size on each side
+         "lineWidth": null            // px; null = thickness scaled with the drawing
+       }
+     }
+   CSV tables, SVG drawings and normalized images are written into
+   the ZIP next to data.json (see csvtables.js, strokesvg.js,
+   drawingimage.js).
+
+   ENCRYPTION (optional top-level block):
+     "encryption": {
+       "keyId": "study-1a2b3c4d5e6f7a8b", // label saved in each bundle
+       "publicKey": { "kty": "RSA", "n": "...", "e": "AQAB" }
+                                      // or a PEM "-----BEGIN PUBLIC KEY-----" string
+     }
+   With a public key, downloads and uploads are encrypted .zip.enc
+   files (see bundlecrypto.js); tools/decrypt-bundle.mjs makes the
+   key pair and decrypts. Without one, null.
+   ============================================================ */
+
+import { DEFAULT_IDT, DEFAULT_IVT, FIXATION_ALGORITHMS } from './fixations.js';
+import { DEFAULT_GAZE_FILTER, GAZE_FILTER_TYPES } from './gazefilter.js';
+import { CSV_TABLES } from './csvtables.js';
+import { NORMALIZED_CROPS } from './drawingimage.js';
+
+const KNOWN_TOOLS = ['pen', 'eraser', 'undo', 'redo', 'clear'];
+const STIMULUS_MODES = ['prompt', 'side-by-side', 'before', 'underlay'];
+
+const CALIBRATION_MODES = ['click', 'stylus', 'fixation', 'pursuit'];
+const POINTER_TYPES = ['pen', 'touch', 'mouse'];
+
+// Built-in calibration grids (% of screen), by number of points
+const CALIBRATION_GRIDS = {
+  5: [[10, 10], [90, 10], [50, 50], [10, 90], [90, 90]],
+  9: [[10, 10], [50, 10], [90, 10], [10, 50], [50, 50], [90, 50], [10, 90], [50, 90], [90, 90]],
+  13: [[10, 10], [50, 10], [90, 10], [30, 30], [70, 30], [10, 50], [50, 50],
+       [90, 50], [30, 70], [70, 70], [10, 90], [50, 90], [90, 90]],
+  16: [10, 37, 63, 90].flatMap(y => [10, 37, 63, 90].map(x => [x, y]))
+};
+
+const DEFAULT_PROCEDURE = {
+  mode: 'click',
+  points: 9,
+  order: 'fixed',
+  clicksPerPoint: 2,
+  pointerTypes: POINTER_TYPES,
+  settleDuration: 0.8,
+  sampleDuration: 1.5,
+  pursuitSpeed: 20
+};
+
+const DEFAULT_VALIDATION = {
+  enabled: true,
+  points: [[30, 30], [70, 30], [50, 50], [30, 70], [70, 70]],
+  settleDuration: 0.6,
+  sampleDuration: 1.5,
+  pxPerCm: 37.8,
+  viewingDistanceCm: 50,
+  maxErrorDeg: 5,
+  maxErrorPx: null
+};
+
+const DEFAULT_HEAD_POSITION = {
+  enabled: true,
+  stableDuration: 2,
+  minDistanceCm: 35,
+  maxDistanceCm: 80,
+  maxOffset: 0.15,
+  minBrightness: 50
+};
+
+const DEFAULT_DRIFT_CHECK = {
+  enabled: false,
+  everyNTrials: 1,
+  settleDuration: 0.6,
+  sampleDuration: 1.0,
+  maxErrorDeg: 3,
+  maxErrorPx: null
+};
+
+const DEFAULT_REUSE_MODEL = {
+  enabled: false,
+  maxAgeDays: 30
+};
+
+const DEFAULT_UPLOAD = {
+  endpoint: null,
+  token: null,
+  chunkSize: 1048576,
+  maxRetries: 5,
+  retryDelay: 1
+};
+
+const DEFAULT_NORMALIZED = {
+  enabled: false,
+  size: 256,
+  crop: 'drawing',
+  padding: 0.05,
+  lineWidth: null
+};
+
+const BUILTIN_DEFAULTS = {
+  instructions: '',
+  timeLimit: null,
+  tools: KNOWN_TOOLS,
+  colors: [{ value: '#1a1a2e', label: 'Black' }],
+  defaultColor: null,
+  thicknesses: [{ value: 4, label: 'Medium' }],
+  defaultThickness: null,
+  recordGaze: true,
+  stimulus: null
+};
+
+export class Experiment {
+  /**
+   * @param {Object} definition - Parsed experiment JSON
+   * @param {string} [source] - Where the definition was loaded from
+   */
+  constructor(definition, source = '') {
+    if (!definition || typeof definition !== 'object') {
+      throw new Error('Experiment definition must be a JSON object.');
+    }
+    if (!Array.isArray(definition.trials) || definition.trials.length === 0) {
+      throw new Error('Experiment definition needs a non-empty "trials" list.');
+    }
+    if (definition.order && !['fixed', 'random'].includes(definition.order)) {
+      throw new Error(`Unknown trial order "${definition.order}" (use "fixed" or "random").`);
+    }
+
+    this.definition = definition;
+    this.source = source;
+    this.id = definition.id || 'untitled';
+    this.title = definition.title || 'Drawing Study';
+    this.subtitle = definition.subtitle || '';
+    this.order = definition.order || 'fixed';
+
+    const defaults = { ...BUILTIN_DEFAULTS, ...(definition.defaults || {}) };
+    this.trials = definition.trials.map((t, i) => this._normalizeTrial(t, defaults, i));
+    // Trial ids identify trials in the saved trialOrder (resume), so they must be unique
+    const seen = new Set();
+    this.trials.forEach((trial, i) => {
+      if (seen.has(trial.id)) {
+        throw new Error(`Trial ${i + 1}: duplicate trial id "${trial.id}" (trial ids must be unique).`);
+      }
+      seen.add(trial.id);
+    });
+    this.calibration = this._normalizeCalibration(definition.calibration || {});
+    this.fixations = this._normalizeFixations(definition.fixations || {});
+    this.gazeFilter = this._normalizeGazeFilter(definition.gazeFilter || {});
+    this.upload = this._normalizeUpload(definition.upload || {});
+    this.encryption = this._normalizeEncryption(definition.encryption || {});
+    this.csvTables = this._normalizeCSVTables((definition.export || {}).csv);
+    this.svgExport = this._normalizeSVGExport((definition.export || {}).svg);
+    this.opaquePNG = (definition.export || {}).opaque !== false;
+    this.normalizedImages = this._normalizeNormalizedImages((definition.export || {}).normalized || {});
+  }
+
+  /**
+   * Fetch and parse an experiment definition.
+   * @param {string} url - Path to the JSON file
+   * @returns {Promise<Experiment>}
+   */
+  static async load(url) {
+    let response;
+    try {
+      response = await fetch(url, { cache: 'no-cache' });
+    } catch (err) {
+      throw new Error(`Could not load experiment file "${url}": ${err.message}`);
+    }
+    if (!response.ok) {
+      throw new Error(`Could not load experiment file "${url}" (HTTP ${response.status}).`);
+    }
+
+    let definition;
+    try {
+      definition = await response.json();
+    } catch (err) {
+      throw new Error(`Experiment file "${url}" is not valid JSON: ${err.message}`);
+    }
+    return new Experiment(definition, url);
+  }
+
+  get trialCount() {
+    return this.trials.length;
+  }
+
+  /**
+   * True if any trial records gaze (i.e. we need the camera + calibration).
+   */
+  get usesGaze() {
+    return this.trials.some(t => t.recordGaze);
+  }
+
+  /**
+   * Build the sequence of trials for one participant.
+   * "random" order shuffles a copy; the definition is never mutated.
+   * @returns {Object[]} normalized trial definitions
+   */
+  buildTrialOrder() {
+    const order = [...this.trials];
+    if (this.order === 'random') {
+      // Fisher–Yates shuffle
+      for (let i = order.length - 1; i > 0; i--) {
+        const j = Math.floor(Math.random() * (i + 1));
+        [order[i], order[j]] = [order[j], order[i]];
+      }
+    }
+    return order;
+  }
+
+  /**
+   * Look up a trial by its id.
+   */
+  getTrial(id) {
+    return this.trials.find(t => t.id === id) || null;
+  }
+
+  /**
+   * Metadata saved into the session JSON so every dataset says
+   * exactly which study definition produced it.
+   * @param {Object[]} trialOrder - The order returned by buildTrialOrder()
+   */
+  describe(trialOrder) {
+    return {
+      id: this.id,
+      source: this.source,
+      order: this.order,
+      trialOrder: trialOrder.map(t => t.id),
+      definition: this.definition
+    };
+  }
+
+  /* ----------------------------------------------------------
+     INTERNAL
+     ---------------------------------------------------------- */
+
+  _normalizeTrial(raw, defaults, index) {
+    const t = { ...defaults, ...raw };
+    const label = `Trial ${index + 1}`;
+    for (const key of ['tools', 'colors', 'thicknesses']) {
+      if (!Array.isArray(t[key])) throw new Error(`${label}: "${key}" must be a list.`);
+    }
+
+    const tools = t.tools.filter(tool => KNOWN_TOOLS.includes(tool));
+    if (tools.length !== t.tools.length) {
+      const unknown = t.tools.filter(tool => !KNOWN_TOOLS.includes(tool));
+      throw new Error(`${label}: unknown tool(s) ${unknown.join(', ')}.`);
+    }
+    if (!tools.includes('pen') && !tools.includes('eraser')) {
+      throw new Error(`${label}: "tools" must include "pen" or "eraser".`);
+    }
+
+    const colors = this._normalizeOptions(t.colors);
+    const thicknesses = this._normalizeOptions(t.thicknesses).map(o => ({
+      value: Number(o.value),
+      label: o.label
+    }));
+    if (colors.length === 0 || thicknesses.length === 0) {
+      throw new Error(`${label}: "colors" and "thicknesses" must not be empty.`);
+    }
+
+    const timeLimit = t.timeLimit === null || t.timeLimit === undefined ? null : Number(t.timeLimit);
+    if (timeLimit !== null && !(timeLimit > 0)) {
+      throw new Error(`${label}: "timeLimit" must be a positive number of seconds or null.`);
+    }
+
+    return {
+      id: String(raw.id ?? `trial-${index + 1}`),
+      instructions: t.instructions || '',
+      timeLimit: timeLimit,
+      tools: tools,
+      colors: colors,
+      defaultColor: colors.some(c => c.value === t.defaultColor) ? t.defaultColor : colors[0].value,
+      thicknesses: thicknesses,
+      defaultThickness: thicknesses.some(s => s.value === Number(t.defaultThickness))
+        ? Number(t.defaultThickness)
+        : thicknesses[0].value,
+      recordGaze: t.recordGaze !== false,
+      stimulus: this._normalizeStimulus(t.stimulus, label)
+    };
+  }
+
+  _normalizeStimulus(raw, label) {
+    if (!raw) return null;
+    if (!raw.prompt && !raw.image) {
+      throw new Error(`${label}: a stimulus needs a "prompt" or an "image".`);
+    }
+
+    const mode = raw.mode || (raw.image ? 'side-by-side' : 'prompt');
+    if (!STIMULUS_MODES.includes(mode)) {
+      throw new Error(`${label}: unknown stimulus mode "${mode}".`);
+    }
+    if (mode === 'underlay' && !raw.image) {
+      throw new Error(`${label}: "underlay" stimuli need an "image".`);
+    }
+
+    const duration = raw.duration === null || raw.duration === undefined ? null : Number(raw.duration);
+    if (duration !== null && !(duration > 0)) {
+      throw new Error(`${label}: stimulus "duration" must be a positive number of seconds or null.`);
+    }
+
+    return {
+      id: String(raw.id ?? raw.image ?? raw.prompt),
+      prompt: raw.prompt || '',
+      image: raw.image || null,
+      mode: mode,
+      duration: duration,
+      side: raw.side === 'right' ? 'right' : 'left',
+      underlayOpacity: raw.underlayOpacity ?? 0.25
+    };
+  }
+
+  _normalizeCalibration(raw) {
+    const headPosition = { ...DEFAULT_HEAD_POSITION, ...(raw.headPosition || {}) };
+    headPosition.enabled = headPosition.enabled !== false;
+    for (const key of ['stableDuration', 'minDistanceCm', 'maxDistanceCm', 'maxOffset']) {
+      headPosition[key] = Number(headPosition[key]);
+      if (!(headPosition[key] > 0)) {
+        throw new Error(`calibration.headPosition.${key} must be a positive number.`);
+      }
+    }
+    headPosition.minBrightness = Number(headPosition.minBrightness);
+    if (!(headPosition.minBrightness >= 0)) {
+      throw new Error('calibration.headPosition.minBrightness must be a number from 0 to 255.');
+    }
+    if (headPosition.minDistanceCm >= headPosition.maxDistanceCm) {
+      throw new Error('calibration.headPosition.minDistanceCm must be less than maxDistanceCm.');
+    }
+
+    const procedure = { ...DEFAULT_PROCEDURE, ...(raw.procedure || {}) };
+    if (!CALIBRATION_MODES.includes(procedure.mode)) {
+      throw new Error(`calibration.procedure.mode must be one of ${CALIBRATION_MODES.join(', ')}.`);
+    }
+    if (typeof procedure.points === 'number') {
+      if (!CALIBRATION_GRIDS[procedure.points]) {
+        throw new Error('calibration.procedure.points must be 5, 9, 13, 16 or a list of [x, y] percentages.');
+      }
+      procedure.points = CALIBRATION_GRIDS[procedure.points];
+    }
+    procedure.points = this._normalizePoints(procedure.points, 'calibration.procedure.points');
+    if (procedure.order !== 'fixed' && procedure.order !== 'random') {
+      throw new Error('calibration.procedure.order must be "fixed" or "random".');
+    }
+    for (const key of ['clicksPerPoint', 'settleDuration', 'sampleDuration', 'pursuitSpeed']) {
+      procedure[key] = Number(procedure[key]);
+      if (!(procedure[key] > 0)) {
+        throw new Error(`calibration.procedure.${key} must be a positive number.`);
+      }
+    }
+    procedure.clicksPerPoint = Math.max(1, Math.round(procedure.clicksPerPoint));
+    if (!Array.isArray(procedure.pointerTypes) || procedure.pointerTypes.length === 0 ||
+        procedure.pointerTypes.some(t => !POINTER_TYPES.includes(t))) {
+      throw new Error(`calibration.procedure.pointerTypes must list some of ${POINTER_TYPES.join(', ')}.`);
+    }
+
+    const validation = { ...DEFAULT_VALIDATION, ...(raw.validation || {}) };
+    validation.enabled = validation.enabled !== false;
+    validation.points = this._normalizePoints(validation.points, 'calibration.validation.points');
+    for (const key of ['settleDuration', 'sampleDuration', 'pxPerCm', 'viewingDistanceCm']) {
+      validation[key] = Number(validation[key]);
+      if (!(validation[key] > 0)) {
+        throw new Error(`calibration.validation.${key} must be a positive number.`);
+      }
+    }
+
+    const driftCheck = { ...DEFAULT_DRIFT_CHECK, ...(raw.driftCheck || {}) };
+    driftCheck.enabled = driftCheck.enabled === true;
+    for (const key of ['everyNTrials', 'settleDuration', 'sampleDuration']) {
+      driftCheck[key] = Number(driftCheck[key]);
+      if (!(driftCheck[key] > 0)) {
+        throw new Error(`calibration.driftCheck.${key} must be a positive number.`);
+      }
+    }
+    if (driftCheck.maxErrorDeg == null && driftCheck.maxErrorPx == null) {
+      throw new Error('calibration.driftCheck needs "maxErrorDeg" or "maxErrorPx".');
+    }
+    // Degrees use the same screen geometry as validation
+    driftCheck.pxPerCm = validation.pxPerCm;
+    driftCheck.viewingDistanceCm = validation.viewingDistanceCm;
+
+    const reuseModel = { ...DEFAULT_REUSE_MODEL, ...(raw.reuseModel || {}) };
+    reuseModel.enabled = reuseModel.enabled === true;
+    if (reuseModel.maxAgeDays !== null) {
+      reuseModel.maxAgeDays = Number(reuseModel.maxAgeDays);
+      if (!(reuseModel.maxAgeDays > 0)) {
+        throw new Error('calibration.reuseModel.maxAgeDays must be a positive number or null.');
+      }
+    }
+
+    return { headPosition, procedure, validation, driftCheck, reuseModel };
+  }
+
+  /**
+   * Fixation detection settings; null when "algorithm" is null.
+   */
+  _normalizeFixations(raw) {
+    const algorithm = raw.algorithm === undefined ? 'idt' : raw.algorithm;
+    if (algorithm === null) return null;
+    if (!FIXATION_ALGORITHMS.includes(algorithm)) {
+      throw new Error(`Unknown fixations.algorithm "${algorithm}" (use "idt", "ivt" or null).`);
+    }
+
+    const config = { algorithm };
+    for (const [name, defaults] of [['idt', DEFAULT_IDT], ['ivt', DEFAULT_IVT]]) {
+      config[name] = { ...defaults, ...(raw[name] || {}) };
+      for (const key of Object.keys(defaults)) {
+        config[name][key] = Number(config[name][key]);
+        if (!(config[name][key] > 0)) {
+          throw new Error(`fixations.${name}.${key} must be a positive number.`);
+        }
+      }
+    }
+    config.geometry = {
+      pxPerCm: this.calibration.validation.pxPerCm,
+      viewingDistanceCm: this.calibration.validation.viewingDistanceCm
+    };
+    return config;
+  }
+
+  _normalizeGazeFilter(raw) {
+    const type = raw.type ?? DEFAULT_GAZE_FILTER.type;
+    if (!GAZE_FILTER_TYPES.includes(type)) {
+      throw new Error(`Unknown gazeFilter.type "${type}" (use ${GAZE_FILTER_TYPES.map(t => `"${t}"`).join(', ')}).`);
+    }
+
+    const config = {
+      type,
+      record: raw.record === true,
+      maxGapMs: Number(raw.maxGapMs ?? DEFAULT_GAZE_FILTER.maxGapMs)
+    };
+    if (!(config.maxGapMs > 0)) {
+      throw new Error('gazeFilter.maxGapMs must be a positive number.');
+    }
+    for (const name of ['median', 'oneEuro', 'kalman', 'outlier']) {
+      const defaults = DEFAULT_GAZE_FILTER[name];
+      config[name] = { ...defaults, ...(raw[name] || {}) };
+      for (const key of Object.keys(defaults)) {
+        if (key === 'enabled') {
+          config[name].enabled = config[name].enabled === true;
+          continue;
+        }
+        config[name][key] = Number(config[name][key]);
+        if (!(config[name][key] > 0)) {
+          throw new Error(`gazeFilter.${name}.${key} must be a positive number.`);
+        }
+      }
+    }
+    return config;
+  }
+
+  _normalizeUpload(raw) {
+    const upload = { ...DEFAULT_UPLOAD, ...raw };
+    if (upload.endpoint == null || upload.endpoint === '') return null;
+    if (typeof upload.endpoint !== 'string' || !/^https?:\/\//.test(upload.endpoint)) {
+      throw new Error('upload.endpoint must be an http(s) URL.');
+    }
+    for (const key of ['chunkSize', 'retryDelay']) {
+      upload[key] = Number(upload[key]);
+      if (!(upload[key] > 0)) {
+        throw new Error(`upload.${key} must be a positive number.`);
+      }
+    }
+    upload.chunkSize = Math.round(upload.chunkSize);
+    upload.maxRetries = Number(upload.maxRetries);
+    if (!(Number.isInteger(upload.maxRetries) && upload.maxRetries >= 0)) {
+      throw new Error('upload.maxRetries must be a whole number (0 or more).');
+    }
+    return upload;
+  }
+
+  _normalizeCSVTables(csv = true) {
+    if (csv === true) return [...CSV_TABLES];
+    if (csv === false || csv === null) return [];
+    if (!Array.isArray(csv)) {
+      throw new Error('export.csv must be true, false or a list of tables.');
+    }
+    for (const name of csv) {
+      if (!CSV_TABLES.includes(name)) {
+        throw new Error(`Unknown CSV table "${name}" in export.csv (use ${CSV_TABLES.join(', ')}).`);
+      }
+    }
+    return CSV_TABLES.filter(name => csv.includes(name));
+  }
+
+  _normalizeSVGExport(svg = true) {
+    const raw = typeof svg === 'boolean' ? { enabled: svg } : svg;
+    if (!raw || typeof raw !== 'object') {
+      throw new Error('export.svg must be true, false or { "enabled", "pressure" }.');
+    }
+    if (raw.enabled === false) return null;
+    return { pressure: raw.pressure === true };
+  }
+
+  _normalizeNormalizedImages(raw) {
+    const normalized = { ...DEFAULT_NORMALIZED, ...raw };
+    if (!normalized.enabled) return null;
+    if (!(Number.isInteger(normalized.size) && normalized.size >= 16 && normalized.size <= 4096)) {
+      throw new Error('export.normalized.size must be a whole number of pixels (16–4096).');
+    }
+    if (!NORMALIZED_CROPS.includes(normalized.crop)) {
+      throw new Error(`Unknown export.normalized.crop "${normalized.crop}" (use ${NORMALIZED_CROPS.join(' or ')}).`);
+    }
+    normalized.padding = Number(normalized.padding);
+    if (!(normalized.padding >= 0 && normalized.padding < 0.5)) {
+      throw new Error('export.normalized.padding must be between 0 and 0.5.');
+    }
+    if (normalized.lineWidth != null && !(Number(normalized.lineWidth) > 0)) {
+      throw new Error('export.normalized.lineWidth must be a positive number or null.');
+    }
+    const { size, crop, padding, lineWidth } = normalized;
+    return { size, crop, padding, lineWidth: lineWidth == null ? null : Number(lineWidth) };
+  }
+
+  _normalizeEncryption(raw) {
+    const { publicKey } = raw;
+    if (publicKey == null || publicKey === '') return null;
+    const isPEM = typeof publicKey === 'string' && publicKey.includes('-----BEGIN PUBLIC KEY-----');
+    const isJWK = typeof publicKey === 'object' && publicKey.kty === 'RSA' && publicKey.n && publicKey.e;
+    if (!isPEM && !isJWK) {
+      throw new Error('encryption.publicKey must be an RSA public key (JWK object or PEM string).');
+    }
+    return { publicKey, keyId: raw.keyId != null ? String(raw.keyId) : null };
+  }
+
+  /**
+   * Whether a drift check should run before this trial (1-indexed).
+   * Never before trial 1 — calibration just happened.
+   */
+  isDriftCheckDue(trialNumber) {
+    const { enabled, everyNTrials } = this.calibration.driftCheck;
+    return enabled && trialNumber > 1 && (trialNumber - 1) % everyNTrials === 0;
+  }
+
+  /**
+   * Screen positions in % of the screen, as [x, y] pairs or { x, y } objects.
+   */
+  _normalizePoints(points, label) {
+    if (!Array.isArray(points) || points.length === 0) {
+      throw new Error(`${label} must be a non-empty list of [x, y] percentages.`);
+    }
+    return points.map(p => {
+      const [x, y] = Array.isArray(p) ? p : [p.x, p.y];
+      if (!(x >= 0 && x <= 100 && y >= 0 && y <= 100)) {
+        throw new Error(`${label}: ${JSON.stringify(p)} is not within 0–100%.`);
+      }
+      return { x: Number(x), y: Number(y) };
+    });
+  }
+
+  /**
+   * Accept either bare values or { value, label } objects.
+   */
+  _normalizeOptions(list) {
+    if (!Array.isArray(list)) return [];
+    return list.map(item => (typeof item === 'object' && item !== null)
+      ? { value: item.value, label: item.label || String(item.value) }
+      : { value: item, label: String(item) });
+  }
+}
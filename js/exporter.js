@@ -1,23 +1,92 @@
 /* ============================================================
    exporter.js — Data Export as Single ZIP
    ============================================================
-   Uses JSZip (loaded via <script> tag in index.html) to bundle
-   all study data into one downloadable .zip file.
-   
+   Bundles all study data into one downloadable .zip file.
+
    ZIP CONTENTS:
      {participantId}_{date}/
        data.json              — Full session data (strokes + gaze)
+       trials.csv, strokes.csv, strokes_points.csv, gaze.csv,
+       actions.csv            — the same data as tables (setCSVTables;
+                                see csvtables.js)
        trial1.png             — Drawing image for trial 1
-       trial2.png             — Drawing image for trial 2
-       trial3.png             — Drawing image for trial 3
+       trial1.svg             — The same drawing as vectors (setSVG;
+                                see strokesvg.js)
+       trial1_normalized.png  — The drawing cropped and scaled to a fixed
+                                square (setNormalizedImages; see
+                                drawingimage.js)
+       trial2.png, trial2.svg, ...
+       normalized.json        — Crop and scale of each normalized image
+
+   The same bundle is what uploader.js sends to the server.
+
+   STREAMING:
+   Long sessions (60 Hz gaze, 240 Hz strokes) don't fit in an iPad's
+   memory as one JSON string. data.json is therefore written as
+   compact JSON, trial by trial and array by array, straight into a
+   streaming ZIP (zipwriter.js) that keeps only the compressed
+   output. onProgress reports each trial and PNG as it goes in.
+
+   ENCRYPTION:
+   With a study public key (setEncryption), the ZIP is encrypted
+   before it leaves memory and saved as {participantId}_{date}.zip.enc
+   (see bundlecrypto.js). There is then no unencrypted fallback:
+   if it can't be encrypted, nothing is exported. Encryption reads
+   the ZIP a segment at a time, so at most the ZIP and its
+   encrypted copy exist at once — never as whole ArrayBuffers.
    ============================================================ */
 
+import { encryptBundle } from './bundlecrypto.js';
+import { ZipWriter } from './zipwriter.js';
+import { CSV_TABLES, csvTable } from './csvtables.js';
+import { trialToSVG } from './strokesvg.js';
+import { renderNormalized } from './drawingimage.js';
+
+const JSON_CHUNK_CHARS = 65536;    // data.json goes into the ZIP in pieces of about this size
+
 export class Exporter {
   /**
    * @param {DataStore} dataStore - The data store with all session data
    */
   constructor(dataStore) {
     this.dataStore = dataStore;
+    this.encryption = null;
+    this.csvTables = [...CSV_TABLES];
+    this.svg = { pressure: false };
+    this.normalized = null;
+  }
+
+  /**
+   * Which CSV tables to add next to data.json.
+   * @param {string[]} tables - Experiment.csvTables ([] = none)
+   */
+  setCSVTables(tables) {
+    this.csvTables = tables;
+  }
+
+  /**
+   * Whether (and how) to add each trial's drawing as SVG.
+   * @param {Object|null} options - Experiment.svgExport: { pressure } (null = no SVGs)
+   */
+  setSVG(options) {
+    this.svg = options;
+  }
+
+  /**
+   * Whether (and how) to add fixed-size images rendered from the strokes.
+   * @param {Object|null} options - Experiment.normalizedImages:
+   *   { size, crop, padding, lineWidth } (null = none)
+   */
+  setNormalizedImages(options) {
+    this.normalized = options;
+  }
+
+  /**
+   * Encrypt every bundle for this key from now on.
+   * @param {Object|null} settings - Experiment.encryption (null = plain ZIPs)
+   */
+  setEncryption(settings) {
+    this.encryption = settings;
   }
 
   /* ----------------------------------------------------------
@@ -26,39 +95,144 @@ export class Exporter {
 
   /**
    * Export all data as a single .zip file.
-   * @param {string[]} trialPNGs - Array of data URLs for each trial's canvas PNG
+   * @param {(string|null)[]} trialPNGs - Data URL of each trial's canvas PNG
+   *   (null for a trial interrupted before its drawing was saved)
+   * @param {Function} [onProgress] - as for buildBundle
+   */
+  async exportAll(trialPNGs, onProgress = null) {
+    this.download(await this.buildBundle(trialPNGs, onProgress));
+  }
+
+  /**
+   * Save a bundle from buildBundle as a file.
+   * @param {{blob: Blob, filename: string}} bundle
    */
-  async exportAll(trialPNGs) {
+  download(bundle) {
+    this._downloadBlob(bundle.blob, bundle.filename);
+  }
+
+  /**
+   * Build the .zip — encrypted, if a key is set — that exportAll
+   * downloads and the Uploader sends.
+   * @param {(string|null)[]} trialPNGs - as for exportAll
+   * @param {Function} [onProgress] - called with (fraction 0–1, what
+   *   is being added, e.g. "data.json: trial 3 of 12")
+   * @returns {Promise<{blob: Blob, filename: string}>}
+   */
+  async buildBundle(trialPNGs, onProgress = null) {
     const prefix = this.dataStore.getFilenamePrefix();
     const sessionData = this.dataStore.getSessionData();
+    const trialCount = sessionData.trials.length;
+    const pngCount = trialPNGs.filter(Boolean).length;
+    const svgCount = this.svg ? trialCount : 0;
+    const normalizedCount = this.normalized ? trialCount : 0;
+    const steps = trialCount + this.csvTables.length + pngCount + svgCount + normalizedCount +
+      (this.encryption ? 1 : 0);
+    let done = 0;
+    const report = (label) => {
+      if (onProgress) onProgress(steps > 0 ? done / steps : 1, label);
+    };
 
-    // Check JSZip is loaded
-    if (typeof JSZip === 'undefined') {
-      console.error('JSZip not loaded! Falling back to individual downloads.');
-      this._fallbackExport(sessionData, trialPNGs, prefix);
-      return;
-    }
-
-    const zip = new JSZip();
+    const zip = new ZipWriter();
 
-    // Create a folder inside the zip
-    const folder = zip.folder(prefix);
+    // data.json, one trial at a time
+    await zip.addFile(`${prefix}/data.json`, this._dataJSON(sessionData, (i) => {
+      done++;
+      report(`data.json: trial ${i + 1} of ${trialCount}`);
+    }));
 
-    // Add the JSON data file
-    const jsonStr = JSON.stringify(sessionData, null, 2);
-    folder.file('data.json', jsonStr);
+    // The same data as tables
+    for (const name of this.csvTables) {
+      await zip.addFile(`${prefix}/${name}.csv`, csvTable(sessionData, name));
+      done++;
+      report(`${name}.csv`);
+    }
 
-    // Add each trial's PNG
+    // Each trial's PNG (already compressed, so stored as is)
     for (let i = 0; i < trialPNGs.length; i++) {
-      // trialPNGs[i] is a data URL like "data:image/png;base64,iVBOR..."
-      // We need just the base64 part after the comma
-      const base64Data = trialPNGs[i].split(',')[1];
-      folder.file(`trial${i + 1}.png`, base64Data, { base64: true });
+      if (!trialPNGs[i]) continue;
+      await zip.addFile(`${prefix}/trial${i + 1}.png`, dataURLToBytes(trialPNGs[i]), { compress: false });
+      done++;
+      report(`trial${i + 1}.png`);
     }
 
-    // Generate the zip and trigger download
-    const blob = await zip.generateAsync({ type: 'blob' });
-    this._downloadBlob(blob, `${prefix}.zip`);
+    // Each trial's drawing as vectors, rebuilt from its strokes
+    if (this.svg) {
+      for (const trial of sessionData.trials) {
+        await zip.addFile(`${prefix}/trial${trial.trialNumber}.svg`, trialToSVG(sessionData, trial, this.svg));
+        done++;
+        report(`trial${trial.trialNumber}.svg`);
+      }
+    }
+
+    // Fixed-size images for comparing drawings across devices
+    if (this.normalized) {
+      const frames = [];
+      for (const trial of sessionData.trials) {
+        const file = `trial${trial.trialNumber}_normalized.png`;
+        const { bytes, frame } = await renderNormalized(sessionData, trial, this.normalized);
+        await zip.addFile(`${prefix}/${file}`, bytes, { compress: false });
+        frames.push({
+          trialNumber: trial.trialNumber,
+          file,
+          bounds: frame.bounds,
+          scale: frame.scale,
+          offsetX: frame.offsetX,
+          offsetY: frame.offsetY
+        });
+        done++;
+        report(file);
+      }
+      await zip.addFile(`${prefix}/normalized.json`, JSON.stringify({ ...this.normalized, trials: frames }));
+    }
+
+    const filename = `${prefix}.zip`;
+    const blob = await zip.finish();
+    if (!this.encryption) return { blob, filename };
+
+    report('encrypting');
+    const encrypted = await encryptBundle(blob, this.encryption, filename);
+    done++;
+    report('encrypted');
+    return { blob: encrypted, filename: `${filename}.enc` };
+  }
+
+  /**
+   * The session as compact JSON, in pieces. Key order and output
+   * are those of JSON.stringify(sessionData).
+   * @param {Object} sessionData
+   * @param {Function} onTrial - called with each trial's index once it's written
+   */
+  async *_dataJSON(sessionData, onTrial) {
+    let text = '{';
+    let first = true;
+    for (const [key, value] of Object.entries(sessionData)) {
+      if (!isJSONValue(value)) continue;
+      text += (first ? '' : ',') + JSON.stringify(key) + ':';
+      first = false;
+
+      if (key !== 'trials' || !Array.isArray(value)) {
+        text += JSON.stringify(value);
+        continue;
+      }
+      text += '[';
+      for (let i = 0; i < value.length; i++) {
+        if (i > 0) text += ',';
+        // trial → its arrays → their items
+        for (const part of jsonParts(value[i], 2)) {
+          text += part;
+          if (text.length >= JSON_CHUNK_CHARS) {
+            yield text;
+            text = '';
+          }
+        }
+        onTrial(i);
+        // Let the progress display update between trials
+        await new Promise(resolve => setTimeout(resolve, 0));
+      }
+      text += ']';
+    }
+    yield text + '}';
   }
 
   /* ----------------------------------------------------------
@@ -78,27 +252,56 @@ export class Exporter {
     document.body.removeChild(link);
     URL.revokeObjectURL(url);
   }
+}
 
-  /* ----------------------------------------------------------
-     FALLBACK — If JSZip fails to load, download files individually
-     ---------------------------------------------------------- */
+/* ----------------------------------------------------------
+   HELPERS
+   ---------------------------------------------------------- */
+
+/**
+ * Whether JSON.stringify writes an object member with this value.
+ */
+function isJSONValue(value) {
+  return value !== undefined && typeof value !== 'function' && typeof value !== 'symbol';
+}
 
-  _fallbackExport(sessionData, trialPNGs, prefix) {
-    // Download JSON
-    const jsonStr = JSON.stringify(sessionData, null, 2);
-    const jsonBlob = new Blob([jsonStr], { type: 'application/json' });
-    this._downloadBlob(jsonBlob, `${prefix}_data.json`);
-
-    // Download PNGs with short delays (browsers block rapid downloads)
-    trialPNGs.forEach((dataURL, i) => {
-      setTimeout(() => {
-        const link = document.createElement('a');
-        link.href = dataURL;
-        link.download = `${prefix}_trial${i + 1}.png`;
-        document.body.appendChild(link);
-        link.click();
-        document.body.removeChild(link);
-      }, (i + 1) * 400);
-    });
+/**
+ * Compact JSON of a value as a sequence of strings: objects and
+ * arrays down to `depth` levels are written member by member, so
+ * no single string holds a whole gaze or stroke array.
+ */
+function* jsonParts(value, depth) {
+  if (depth === 0 || value === null || typeof value !== 'object' || typeof value.toJSON === 'function') {
+    yield JSON.stringify(value);
+    return;
+  }
+  if (Array.isArray(value)) {
+    yield '[';
+    for (let i = 0; i < value.length; i++) {
+      if (i > 0) yield ',';
+      if (isJSONValue(value[i])) yield* jsonParts(value[i], depth - 1);
+      else yield 'null';
+    }
+    yield ']';
+    return;
+  }
+  yield '{';
+  let first = true;
+  for (const [key, item] of Object.entries(value)) {
+    if (!isJSONValue(item)) continue;
+    yield (first ? '' : ',') + JSON.stringify(key) + ':';
+    first = false;
+    yield* jsonParts(item, depth - 1);
   }
-}
\ No newline at end of file
+  yield '}';
+}
+
+/**
+ * "data:image/png;base64,iVBOR..." → bytes
+ */
+function dataURLToBytes(dataURL) {
+  const binary = atob(dataURL.slice(dataURL.indexOf(',') + 1));
+  const bytes = new Uint8Array(binary.length);
+  for (let i = 0; i < binary.length; i++) bytes[i] = binary.charCodeAt(i);
+  return bytes;
+}
@@ -6,8 +6,72 @@
    KEY IMPROVEMENT: We request camera access ourselves BEFORE
    handing it to WebGazer. This avoids silent permission failures
    and gives clear error messages for each failure mode.
+
+   REFERENCE FRAMES:
+   WebGazer predicts in viewport pixels. Each gaze sample is stored
+   in viewport pixels (x, y) AND canvas-local CSS pixels (canvasX,
+   canvasY) — the same frame as stroke points — plus the screen
+   region it fell on: "canvas", one of the named regions passed to
+   setReferenceElements() (toolbar, topbar, ...), "other", or
+   "offscreen" when outside the window.
+
+   TIMING:
+   A prediction arrives tens of ms after the camera frame it was
+   made from. Gaze samples are stamped with the frame's time
+   instead: its captureTime (or presentationTime) from
+   requestVideoFrameCallback, taken at the moment WebGazer grabs
+   the frame. Without that API we fall back to the grab time.
+
+   FILTERING:
+   WebGazer's built-in Kalman filter is switched off, so gazeData
+   holds the raw predictions. The gaze dot follows a GazeFilter
+   (gazefilter.js) instead, and the filtered samples can be
+   recorded as a separate stream (trial.gazeFiltered).
+
+   TRACKING QUALITY:
+   Every camera frame is checked for a face and usable eye patches
+   (see assessEyePatches). Each gaze sample carries the result —
+   eyesValid, eyeOpenness, head position and a distance estimate —
+   and sustained dropouts are logged in the trial as "lost" /
+   "recovered" events. WebGazer stays silent while it finds no
+   face, so a watchdog also notices when predictions stop coming.
+   onTrackingChange lets app.js warn the experimenter.
+
+   HEAD POSITIONING:
+   Before calibrating, runHeadPositioning() shows a mirrored camera
+   preview with a target oval and coaches the participant (closer,
+   centre, light) using the same per-frame checks, until their
+   face has stayed in place long enough.
+
+   CALIBRATION:
+   runCalibration() trains WebGazer by clicks, by pencil taps on
+   the drawing canvas, or without touching anything by timed
+   fixation or smooth pursuit of a moving dot; then we feed
+   WebGazer the target position on frames where both eyes were
+   found (see _startTraining).
+
+   SAVED MODELS:
+   exportModel() / importModel() move the trained model in and out
+   of WebGazer, so app.js can keep one per participant (IndexedDB)
+   and reuse it at their next session.
    ============================================================ */
 
+import { targetMetrics, summarizeTargets, DEFAULT_GEOMETRY } from './gazemetrics.js';
+import { GazeFilter } from './gazefilter.js';
+
+// Tracking loss (see _trackingFrame)
+const LOSS_CONFIRM_MS = 500;     // shorter dropouts (blinks) aren't logged
+const LOSS_WARNING_MS = 3000;    // then tell the experimenter
+const STALL_MS = 1000;           // no frames at all for this long = lost
+
+// Eye patch checks (see assessEyePatches)
+const MIN_EYE_OPENNESS = 0.15;   // patch height / width; lower = closed or looking down
+const EYE_SEPARATION_CM = 6.3;   // typical adult interpupillary distance
+const CAMERA_FOV_DEG = 60;       // assumed horizontal field of view of a front camera
+
+// WebGazer's ridge regression keeps only this many click samples
+const TRAINING_WINDOW = 50;
+
 export class EyeTracker {
   /**
    * @param {DataStore} dataStore - Reference to the data store
@@ -20,8 +84,54 @@ export class EyeTracker {
     this.isInitialized = false;
     this._cameraStream = null;
 
-    // Calibration settings
-    this.CLICKS_PER_POINT = 2;
+    // Elements used to map gaze into canvas coordinates / regions
+    this._canvas = null;
+    this._regions = {};
+
+    // Receives every prediction while set (used by validation)
+    this._gazeCollector = null;
+
+    // Receives every frame's assessEyePatches() while set (head positioning)
+    this._qualityCollector = null;
+
+    // Smoothing for the gaze dot (see setGazeFilter)
+    this._filter = new GazeFilter();
+
+    // Frame timing (see _watchVideoFrames)
+    this._lastFrame = null;        // { time, source } of the newest camera frame
+    this._predictionFrame = null;  // the frame WebGazer is predicting from
+
+    // Tracking quality (see _trackingFrame)
+    this._frameQuality = null;     // assessEyePatches() of the frame being predicted
+    this._lastPredictionAt = 0;    // performance.now() of the last listener call
+    this._loss = null;             // { since, reason, logged, warned } while lost
+    this._watchdog = null;
+
+    // Called with (true, reason) when tracking has been lost for a
+    // few seconds, and (false) once it's back
+    this.onTrackingChange = null;
+  }
+
+  /**
+   * Tell the tracker where the canvas and other screen regions are,
+   * so gaze can be recorded in canvas coordinates.
+   * @param {HTMLCanvasElement} canvas - The drawing canvas
+   * @param {Object<string, HTMLElement>} regions - Named regions to
+   *   classify gaze against, e.g. { toolbar, topbar, stimulus }
+   */
+  setReferenceElements(canvas, regions = {}) {
+    this._canvas = canvas;
+    this._regions = regions;
+  }
+
+  /**
+   * Choose how gaze is smoothed, and record the settings in the
+   * session data.
+   * @param {Object} config - Experiment.gazeFilter (see gazefilter.js)
+   */
+  setGazeFilter(config) {
+    this._filter = new GazeFilter(config);
+    this.dataStore.setGazeFilter({ ...this._filter.describe(), webgazerKalman: false });
   }
 
   /* ----------------------------------------------------------
@@ -110,14 +220,39 @@ export class EyeTracker {
       webgazer
         .setRegression('ridge')
         .setGazeListener((data, _timestamp) => {
-          if (data && this.isTracking) {
-            this._onGaze(data.x, data.y);
+          const frame = this._predictionFrame || { time: performance.now(), source: 'handler' };
+          const quality = this._frameQuality;
+          this._predictionFrame = null;
+          this._frameQuality = null;
+
+          const time = this.dataStore.toSessionTime(frame.time);
+          if (this._qualityCollector && quality) {
+            this._qualityCollector(quality, time);
+          }
+          if (this.isTracking) {
+            this._trackingFrame(data, quality, time);
+          }
+          if (!data) return;
+
+          if (this._gazeCollector) {
+            this._gazeCollector(data.x, data.y, time);
+          }
+          if (this.isTracking) {
+            this.dataStore.setGazeTimeSource(frame.source);
+            this._onGaze(data.x, data.y, time, quality);
           }
         });
 
       // 3. Pass our stream to WebGazer so it doesn't request camera again
       webgazer.setStaticVideo(this._cameraStream);
 
+      // Record raw predictions; smoothing is ours (see setGazeFilter)
+      webgazer.applyKalmanFilter(false);
+
+      // WebGazer would otherwise reload the last model trained in this
+      // browser, whoever it belonged to (we keep ours per participant)
+      webgazer.saveDataAcrossSessions(false);
+
       // 4. Start WebGazer (loads the face mesh model — can take a few seconds)
       log('Loading face tracking model (may take a moment)...');
       await webgazer.begin(this._cameraStream);
@@ -127,6 +262,9 @@ export class EyeTracker {
       webgazer.showPredictionPoints(false);
       this._hideWebGazerUI();
 
+      // 6. Timestamp gaze by camera frame, not by prediction
+      this._watchVideoFrames();
+
       this.isInitialized = true;
       log('Eye tracking initialized successfully!');
       return { success: true };
@@ -151,6 +289,37 @@ export class EyeTracker {
     }
   }
 
+  /**
+   * Follow the camera frames, and note which one WebGazer grabs for
+   * each prediction. WebGazer draws the current video frame and
+   * hands it to the tracker's getEyePatches() in the same task, so
+   * wrapping that call marks the moment of the grab. Its result (no
+   * face, bad patches, or two eye patches) is the frame's quality.
+   */
+  _watchVideoFrames() {
+    const video = document.getElementById('webgazerVideoFeed');
+    if (video && typeof video.requestVideoFrameCallback === 'function') {
+      const onFrame = (_now, meta) => {
+        if (!this._cameraStream) return;   // shut down
+        this._lastFrame = meta.captureTime !== undefined
+          ? { time: meta.captureTime, source: 'captureTime' }
+          : { time: meta.presentationTime, source: 'presentationTime' };
+        video.requestVideoFrameCallback(onFrame);
+      };
+      video.requestVideoFrameCallback(onFrame);
+    }
+
+    const tracker = webgazer.getTracker();
+    const getEyePatches = tracker.getEyePatches.bind(tracker);
+    tracker.getEyePatches = async (video, canvas, width, height) => {
+      this._predictionFrame = this._lastFrame || { time: performance.now(), source: 'grabTime' };
+      this._frameQuality = null;
+      const patches = await getEyePatches(video, canvas, width, height);
+      this._frameQuality = assessEyePatches(patches, width, height);
+      return patches;
+    };
+  }
+
   /**
    * Hide WebGazer's default video/overlay elements.
    */
@@ -168,47 +337,155 @@ export class EyeTracker {
     }
   }
 
+  /* ----------------------------------------------------------
+     HEAD POSITIONING
+     ---------------------------------------------------------- */
+
+  /**
+   * Coach the participant into position in front of the camera.
+   * Continue is enabled only while the face has been centred, at a
+   * good distance and well lit for options.stableDuration seconds.
+   * @param {Object} ui
+   * @param {HTMLElement} ui.stage - gets the camera preview + target oval
+   * @param {HTMLElement} ui.feedback - live instruction text
+   * @param {HTMLButtonElement} ui.button - Continue
+   * @param {Object} options - calibration.headPosition (see experiment.js)
+   * @returns {Promise<Object>} head pose averaged over the stable period
+   *   (saved with the calibration)
+   */
+  runHeadPositioning(ui, options) {
+    const video = document.createElement('video');
+    video.className = 'head-guide-video';
+    video.muted = true;
+    video.playsInline = true;
+    video.autoplay = true;
+    video.srcObject = this._cameraStream;
+    const oval = document.createElement('div');
+    oval.className = 'head-guide-oval';
+    ui.stage.innerHTML = '';
+    ui.stage.append(video, oval);
+    video.play().catch(() => { /* autoplay is allowed: the stream is muted */ });
+
+    const brightness = createBrightnessMeter(video);
+    const startTime = this.dataStore.now();
+    let settledAt = null;   // when the face last settled in position
+    let recent = [];        // in-position frames of the last stableDuration s
+
+    return new Promise((resolve) => {
+      const update = (quality, time) => {
+        const light = brightness.read();
+        const problem = headPositionProblem(quality, light, options);
+        if (problem) {
+          settledAt = null;
+          recent = [];
+        } else {
+          if (settledAt === null) settledAt = time;
+          recent.push({ ...quality, brightness: light, time });
+          recent = recent.filter(f => time - f.time <= options.stableDuration * 1000);
+        }
+
+        const ready = settledAt !== null && time - settledAt >= options.stableDuration * 1000;
+        ui.button.disabled = !ready;
+        oval.classList.toggle('ok', !problem);
+        ui.feedback.textContent = problem
+          || (ready ? 'Great — keep this position.' : 'Hold still…');
+      };
+      this._qualityCollector = update;
+
+      ui.feedback.textContent = 'Looking for your face…';
+      ui.button.disabled = true;
+      ui.button.addEventListener('click', () => {
+        this._qualityCollector = null;
+        video.srcObject = null;
+        ui.stage.innerHTML = '';
+        resolve(summarizeHeadPose(recent, settledAt, startTime, this.dataStore.now()));
+      }, { once: true });
+    });
+  }
+
   /* ----------------------------------------------------------
      CALIBRATION
      ---------------------------------------------------------- */
 
   /**
-   * Run the 9-point calibration routine.
+   * Train the gaze model. Four procedures (options.mode):
+   *   click    — click each dot clicksPerPoint times; WebGazer learns
+   *              from the clicks
+   *   stylus   — tap dots on the drawing canvas (options.area)
+   *              clicksPerPoint times with the pencil
+   *   fixation — look at each dot while it shrinks; no clicks
+   *   pursuit  — follow a dot gliding through the points; no clicks
+   * Except in click mode, we feed WebGazer the training samples
+   * ourselves: the tap position, or the target position on frames
+   * where both eyes were found.
    * @param {HTMLElement} container - DOM element for calibration dots
-   * @returns {Promise<void>}
+   *   (stylus: a full-window overlay above the canvas)
+   * @param {Object} options - calibration.procedure (see experiment.js),
+   *   plus area: the canvas element in stylus mode
+   * @returns {Promise<Object>} what was run, saved with the calibration:
+   *   { mode, order, points (% in the order shown), sampleCount, ... }
    */
-  async runCalibration(container) {
+  async runCalibration(container, options) {
+    const points = options.order === 'random' ? shuffle(options.points) : [...options.points];
     webgazer.clearData();
+    container.innerHTML = '';
 
-    return new Promise((resolve) => {
-      const positions = [
-        { x: 10, y: 10 }, { x: 50, y: 10 }, { x: 90, y: 10 },
-        { x: 10, y: 50 }, { x: 50, y: 50 }, { x: 90, y: 50 },
-        { x: 10, y: 90 }, { x: 50, y: 90 }, { x: 90, y: 90 },
-      ];
+    const procedure = { mode: options.mode, order: options.order, points };
+    const clicks = points.length * options.clicksPerPoint;
+    if ((options.mode === 'click' || options.mode === 'stylus') && clicks > TRAINING_WINDOW) {
+      console.warn(`[EyeTracker] ${clicks} calibration clicks, but WebGazer only ` +
+        `learns from the last ${TRAINING_WINDOW}; the first points will be forgotten.`);
+    }
+    if (options.mode === 'click') {
+      procedure.clicksPerPoint = options.clicksPerPoint;
+      procedure.sampleCount = await this._calibrateByClicks(container, points, options);
+      return procedure;
+    }
 
-      let currentIndex = 0;
-      let clicksOnCurrent = 0;
+    // Mouse movement and stray clicks would train on the wrong spot
+    webgazer.removeMouseEventListeners();
+    try {
+      if (options.mode === 'stylus') {
+        Object.assign(procedure, await this._calibrateByTaps(container, points, options));
+        return procedure;
+      }
+      procedure.settleDuration = options.settleDuration;
+      if (options.mode === 'fixation') {
+        procedure.sampleDuration = options.sampleDuration;
+        procedure.sampleCount = await this._calibrateByFixation(container, points, options);
+      } else {
+        procedure.pursuitSpeed = options.pursuitSpeed;
+        procedure.sampleCount = await this._calibrateByPursuit(container, points, options);
+      }
+    } finally {
+      this._qualityCollector = null;
       container.innerHTML = '';
+      webgazer.addMouseEventListeners();
+    }
+    return procedure;
+  }
+
+  /**
+   * Click mode: one dot at a time, advancing after clicksPerPoint clicks.
+   * @returns {Promise<number>} clicks on the dots
+   */
+  _calibrateByClicks(container, points, options) {
+    const clicks = points.length * options.clicksPerPoint;
+    return new Promise((resolve) => {
+      let currentIndex = 0;
 
       const showNextDot = () => {
-        if (currentIndex >= positions.length) {
+        if (currentIndex >= points.length) {
           container.innerHTML = '';
-          resolve();
+          resolve(clicks);
           return;
         }
 
-        container.innerHTML = '';
-        const dot = document.createElement('div');
-        dot.className = 'calibration-dot';
-        dot.style.left = positions[currentIndex].x + '%';
-        dot.style.top = positions[currentIndex].y + '%';
-        container.appendChild(dot);
-
-        clicksOnCurrent = 0;
+        const dot = this._showDot(container, points[currentIndex], 'calibration-dot');
+        let clicksOnCurrent = 0;
         dot.addEventListener('click', () => {
           clicksOnCurrent++;
-          if (clicksOnCurrent >= this.CLICKS_PER_POINT) {
+          if (clicksOnCurrent === options.clicksPerPoint) {
             dot.classList.add('clicked');
             setTimeout(() => {
               currentIndex++;
@@ -222,11 +499,383 @@ export class EyeTracker {
     });
   }
 
+  /**
+   * Stylus mode: dots appear over the drawing canvas, one at a time,
+   * and advance after clicksPerPoint taps. A tap trains WebGazer at
+   * the tap position. Taps by other pointer types than
+   * options.pointerTypes (e.g. a resting palm) and by non-primary
+   * pointers are ignored; so are taps off the dot.
+   * @returns {Promise<Object>} { area, clicksPerPoint, pointerTypes,
+   *   samples, sampleCount, ignoredTaps }
+   */
+  _calibrateByTaps(container, points, options) {
+    const area = options.area.getBoundingClientRect();
+    const box = container.getBoundingClientRect();
+    const samples = [];
+    let ignoredTaps = 0;
+
+    return new Promise((resolve) => {
+      let currentIndex = 0;
+      let dot = null;
+      let tapsOnCurrent = 0;
+
+      const showNextDot = () => {
+        if (currentIndex >= points.length) {
+          container.removeEventListener('pointerdown', onTap);
+          container.innerHTML = '';
+          resolve({
+            area: { left: area.left, top: area.top, width: area.width, height: area.height },
+            clicksPerPoint: options.clicksPerPoint,
+            pointerTypes: options.pointerTypes,
+            samples,
+            sampleCount: samples.length,
+            ignoredTaps
+          });
+          return;
+        }
+
+        const pos = points[currentIndex];
+        dot = this._showDot(container, {
+          x: (area.left - box.left + area.width * pos.x / 100) / box.width * 100,
+          y: (area.top - box.top + area.height * pos.y / 100) / box.height * 100
+        }, 'calibration-dot stylus-target');
+        tapsOnCurrent = 0;
+      };
+
+      const onTap = (e) => {
+        if (!dot || tapsOnCurrent >= options.clicksPerPoint) return;
+        const rect = dot.getBoundingClientRect();
+        const targetX = rect.left + rect.width / 2;
+        const targetY = rect.top + rect.height / 2;
+        // Generous hit area: small dots are hard to hit with a pencil
+        const onDot = Math.hypot(e.clientX - targetX, e.clientY - targetY) <= rect.width * 1.5;
+        if (!e.isPrimary || !options.pointerTypes.includes(e.pointerType) || !onDot) {
+          ignoredTaps++;
+          return;
+        }
+
+        webgazer.recordScreenPosition(e.clientX, e.clientY, 'click');
+        samples.push({
+          time: this.dataStore.now(),
+          point: currentIndex,
+          x: Math.round(e.clientX * 10) / 10,
+          y: Math.round(e.clientY * 10) / 10,
+          targetX: Math.round(targetX * 10) / 10,
+          targetY: Math.round(targetY * 10) / 10,
+          pointerType: e.pointerType,
+          pressure: e.pressure
+        });
+
+        tapsOnCurrent++;
+        if (tapsOnCurrent === options.clicksPerPoint) {
+          dot.classList.add('clicked');
+          setTimeout(() => {
+            currentIndex++;
+            showNextDot();
+          }, 300);
+        }
+      };
+
+      container.addEventListener('pointerdown', onTap);
+      showNextDot();
+    });
+  }
+
+  /**
+   * Fixation mode: each dot shrinks over settleDuration + sampleDuration;
+   * samples are taken, evenly spaced, during the last sampleDuration.
+   * @returns {Promise<number>} training samples recorded
+   */
+  async _calibrateByFixation(container, points, options) {
+    // Share WebGazer's training window evenly between the points
+    const perPoint = Math.max(1, Math.floor(TRAINING_WINDOW / points.length));
+    let target = null;
+    let taken = 0;
+    const trainer = this._startTraining(() => (taken < perPoint ? target : null),
+      options.sampleDuration * 1000 / perPoint, () => taken++);
+
+    for (const pos of points) {
+      const dot = this._showDot(container, pos, 'calibration-dot calibration-target');
+      dot.style.animationDuration = `${options.settleDuration + options.sampleDuration}s`;
+      const rect = dot.getBoundingClientRect();
+
+      await sleep(options.settleDuration * 1000);
+      target = { x: rect.left + rect.width / 2, y: rect.top + rect.height / 2 };
+      taken = 0;
+      await sleep(options.sampleDuration * 1000);
+      target = null;
+    }
+    return trainer.stop();
+  }
+
+  /**
+   * Pursuit mode: the dot waits on the first point for settleDuration,
+   * then glides through the rest at pursuitSpeed. Samples are spread
+   * evenly over the movement.
+   * @returns {Promise<number>} training samples recorded
+   */
+  async _calibrateByPursuit(container, points, options) {
+    const box = container.getBoundingClientRect();
+    const waypoints = points.map(p => ({
+      x: box.width * p.x / 100,
+      y: box.height * p.y / 100
+    }));
+    const segments = [];
+    let length = 0;
+    for (let i = 1; i < waypoints.length; i++) {
+      const d = Math.hypot(waypoints[i].x - waypoints[i - 1].x, waypoints[i].y - waypoints[i - 1].y);
+      segments.push({ from: waypoints[i - 1], to: waypoints[i], start: length, length: d });
+      length += d;
+    }
+    const speed = box.width * options.pursuitSpeed / 100;   // px per s
+    const durationMs = length / speed * 1000;
+
+    const dot = this._showDot(container, points[0], 'calibration-dot pursuit-target');
+    const place = (p) => {
+      dot.style.left = p.x + 'px';
+      dot.style.top = p.y + 'px';
+      return { x: box.left + p.x, y: box.top + p.y };
+    };
+    await sleep(options.settleDuration * 1000);
+    if (segments.length === 0) return 0;
+
+    let target = place(waypoints[0]);
+    const trainer = this._startTraining(() => target, durationMs / TRAINING_WINDOW);
+    await new Promise((resolve) => {
+      const start = performance.now();
+      const step = (now) => {
+        const travelled = Math.min((now - start) / durationMs, 1) * length;
+        const seg = segments.find(s => travelled <= s.start + s.length) || segments[segments.length - 1];
+        const f = seg.length > 0 ? (travelled - seg.start) / seg.length : 1;
+        target = place({
+          x: seg.from.x + (seg.to.x - seg.from.x) * f,
+          y: seg.from.y + (seg.to.y - seg.from.y) * f
+        });
+        if (travelled >= length) resolve();
+        else requestAnimationFrame(step);
+      };
+      requestAnimationFrame(step);
+    });
+    return trainer.stop();
+  }
+
+  /**
+   * Feed WebGazer a training sample at most every intervalMs, on frames
+   * where both eyes were found and getTarget() returns a point.
+   * @param {function(): ({x: number, y: number}|null)} getTarget - viewport px
+   * @param {number} intervalMs
+   * @param {function} [onSample] - called after each sample
+   * @returns {{stop: function(): number}} stop() ends training and
+   *   returns the number of samples recorded
+   */
+  _startTraining(getTarget, intervalMs, onSample) {
+    let count = 0;
+    let last = -Infinity;
+    this._qualityCollector = (quality, time) => {
+      const target = getTarget();
+      if (!target || !quality.eyesValid || time - last < intervalMs) return;
+      webgazer.recordScreenPosition(target.x, target.y, 'click');
+      last = time;
+      count++;
+      if (onSample) onSample();
+    };
+    return {
+      stop: () => {
+        this._qualityCollector = null;
+        return count;
+      }
+    };
+  }
+
+  /**
+   * Replace the container's contents with one dot at pos (% of container).
+   */
+  _showDot(container, pos, className) {
+    container.innerHTML = '';
+    const dot = document.createElement('div');
+    dot.className = className;
+    dot.style.left = pos.x + '%';
+    dot.style.top = pos.y + '%';
+    container.appendChild(dot);
+    return dot;
+  }
+
+  /* ----------------------------------------------------------
+     SAVED MODELS
+     The trained model is just WebGazer's training samples (eye
+     patches + screen positions); refitting on them restores it.
+     ---------------------------------------------------------- */
+
+  /**
+   * Snapshot of the current training data, for SessionStore.saveModel().
+   * @returns {{screenWidth: number, screenHeight: number, samples: Object[]}}
+   */
+  exportModel() {
+    const data = webgazer.getRegression()[0].getData() || [];
+    return {
+      screenWidth: window.innerWidth,
+      screenHeight: window.innerHeight,
+      samples: data.map(d => ({
+        type: d.type,
+        screenPos: [d.screenPos[0], d.screenPos[1]],
+        eyes: { left: serializeEye(d.eyes.left), right: serializeEye(d.eyes.right) }
+      }))
+    };
+  }
+
+  /**
+   * Replace the current model with saved training data.
+   * @param {Object} model - from exportModel() (as stored)
+   */
+  importModel(model) {
+    webgazer.clearData();
+    // setData() turns the patches back into ImageData in place
+    const samples = model.samples.map(d => ({
+      type: d.type,
+      screenPos: [...d.screenPos],
+      eyes: { left: { ...d.eyes.left }, right: { ...d.eyes.right } }
+    }));
+    webgazer.getRegression()[0].setData(samples);
+  }
+
+  /* ----------------------------------------------------------
+     VALIDATION
+     Measures how good the current model is: the participant just
+     looks at fresh targets (no clicks) while we record predictions.
+     ---------------------------------------------------------- */
+
+  /**
+   * Show validation targets one at a time and measure accuracy/precision.
+   * @param {HTMLElement} container - DOM element for the targets
+   * @param {Object} options
+   * @param {{x: number, y: number}[]} options.points - target positions (% of container)
+   * @param {number} options.settleDuration - seconds before sampling (eyes land on target)
+   * @param {number} options.sampleDuration - seconds of samples per target
+   * @param {number} options.pxPerCm - CSS px per cm (for degrees)
+   * @param {number} options.viewingDistanceCm - eye-to-screen distance
+   * @param {number|null} options.maxErrorDeg - pass threshold (mean accuracy, degrees)
+   * @param {number|null} options.maxErrorPx - pass threshold (mean accuracy, CSS px)
+   * @returns {Promise<Object>} validation result (saved into the session JSON)
+   */
+  async runValidation(container, options) {
+    const geometry = {
+      pxPerCm: options.pxPerCm ?? DEFAULT_GEOMETRY.pxPerCm,
+      viewingDistanceCm: options.viewingDistanceCm ?? DEFAULT_GEOMETRY.viewingDistanceCm
+    };
+    const startTime = this.dataStore.now();
+
+    // Mouse movement would otherwise be fed to WebGazer as training data
+    webgazer.removeMouseEventListeners();
+
+    const targets = [];
+    try {
+      for (const pos of options.points) {
+        container.innerHTML = '';
+        const dot = document.createElement('div');
+        dot.className = 'calibration-dot validation-target';
+        dot.style.left = pos.x + '%';
+        dot.style.top = pos.y + '%';
+        container.appendChild(dot);
+
+        const rect = dot.getBoundingClientRect();
+        const target = { x: rect.left + rect.width / 2, y: rect.top + rect.height / 2 };
+
+        await new Promise(r => setTimeout(r, options.settleDuration * 1000));
+        const samples = await this._collectGaze(options.sampleDuration * 1000);
+
+        targets.push({
+          xPercent: pos.x,
+          yPercent: pos.y,
+          ...targetMetrics(target, samples, geometry),
+          samples: samples.map(s => ({
+            x: Math.round(s.x * 10) / 10,
+            y: Math.round(s.y * 10) / 10,
+            time: s.time
+          }))
+        });
+      }
+    } finally {
+      container.innerHTML = '';
+      webgazer.addMouseEventListeners();
+    }
+
+    const thresholds = {
+      maxErrorDeg: options.maxErrorDeg ?? null,
+      maxErrorPx: options.maxErrorPx ?? null
+    };
+    return {
+      startTime,
+      endTime: this.dataStore.now(),
+      geometry,
+      thresholds,
+      settleDuration: options.settleDuration,
+      sampleDuration: options.sampleDuration,
+      screenWidth: window.innerWidth,
+      screenHeight: window.innerHeight,
+      ...summarizeTargets(targets, thresholds),
+      targets
+    };
+  }
+
+  /**
+   * Drift check: one central target, no clicks. Measures how far the
+   * gaze has wandered from where the model says it should be.
+   * @param {HTMLElement} container - DOM element for the target
+   * @param {Object} options - settleDuration, sampleDuration, pxPerCm,
+   *   viewingDistanceCm, maxErrorDeg, maxErrorPx (see runValidation)
+   * @returns {Promise<Object>} drift record (offset = mean gaze − target)
+   */
+  async runDriftCheck(container, options) {
+    const result = await this.runValidation(container, {
+      ...options,
+      points: [{ x: 50, y: 50 }]
+    });
+    const target = result.targets[0];
+    const hasData = target.meanX !== null;
+
+    return {
+      startTime: result.startTime,
+      endTime: result.endTime,
+      targetX: target.targetX,
+      targetY: target.targetY,
+      meanX: target.meanX,
+      meanY: target.meanY,
+      offsetX: hasData ? Math.round((target.meanX - target.targetX) * 100) / 100 : null,
+      offsetY: hasData ? Math.round((target.meanY - target.targetY) * 100) / 100 : null,
+      errorPx: target.accuracyPx,
+      errorDeg: target.accuracyDeg,
+      rmsS2SPx: target.rmsS2SPx,
+      sampleCount: target.sampleCount,
+      thresholds: result.thresholds,
+      passed: result.passed,
+      samples: target.samples
+    };
+  }
+
+  /**
+   * Record every prediction for `durationMs`.
+   * @returns {Promise<{x: number, y: number, time: number}[]>} viewport px, session ms
+   */
+  _collectGaze(durationMs) {
+    return new Promise((resolve) => {
+      const samples = [];
+      this._gazeCollector = (x, y, time) => samples.push({ x, y, time });
+      setTimeout(() => {
+        this._gazeCollector = null;
+        resolve(samples);
+      }, durationMs);
+    });
+  }
+
   /* ----------------------------------------------------------
      TRACKING CONTROL
      ---------------------------------------------------------- */
 
   startTracking() {
+    this._filter.reset();
+    this._loss = null;
+    this._lastPredictionAt = performance.now();
+    this._watchdog = setInterval(() => this._checkStalled(), STALL_MS / 2);
     this.isTracking = true;
     this.gazeDot.classList.add('visible');
   }
@@ -234,6 +883,13 @@ export class EyeTracker {
   stopTracking() {
     this.isTracking = false;
     this.gazeDot.classList.remove('visible');
+    clearInterval(this._watchdog);
+    this._watchdog = null;
+    // A loss still open at the end of the trial lasted until its end
+    if (this._loss && this._loss.warned && this.onTrackingChange) {
+      this.onTrackingChange(false);
+    }
+    this._loss = null;
   }
 
   shutdown() {
@@ -252,13 +908,265 @@ export class EyeTracker {
      INTERNAL
      ---------------------------------------------------------- */
 
-  _onGaze(x, y) {
+  _onGaze(x, y, time, quality = null) {
+    const raw = this._locate(x, y);
+    this.dataStore.addGazePoint(raw.x, raw.y, { ...raw, quality }, time);
+
+    const smoothed = this._filter.filter(x, y, time);
+    const filtered = this._locate(smoothed.x, smoothed.y);
+    if (this._filter.record) {
+      this.dataStore.addFilteredGazePoint(filtered.x, filtered.y, filtered, time);
+    }
+
+    // The dot lives inside the canvas container, so position it in canvas coordinates
+    this.gazeDot.style.left = filtered.canvasX + 'px';
+    this.gazeDot.style.top = filtered.canvasY + 'px';
+  }
+
+  /**
+   * Clamp a prediction to the window and work out its canvas-local
+   * coordinates (same frame as stroke points) and region.
+   * @returns {{x: number, y: number, canvasX: number, canvasY: number, region: string}}
+   */
+  _locate(x, y) {
+    const offscreen = x < 0 || y < 0 || x > window.innerWidth || y > window.innerHeight;
     x = Math.max(0, Math.min(x, window.innerWidth));
     y = Math.max(0, Math.min(y, window.innerHeight));
 
-    this.gazeDot.style.left = x + 'px';
-    this.gazeDot.style.top = y + 'px';
+    let canvasX = x;
+    let canvasY = y;
+    let region = offscreen ? 'offscreen' : this._classifyRegion(x, y);
+    if (this._canvas) {
+      const rect = this._canvas.getBoundingClientRect();
+      canvasX = x - rect.left;
+      canvasY = y - rect.top;
+      if (region === 'other' &&
+          x >= rect.left && x <= rect.right && y >= rect.top && y <= rect.bottom) {
+        region = 'canvas';
+      }
+    }
+    return { x, y, canvasX, canvasY, region };
+  }
+
+  /**
+   * Follow tracking loss frame by frame. A loss is logged once it
+   * has lasted LOSS_CONFIRM_MS (stamped with its first bad frame),
+   * and reported to onTrackingChange after LOSS_WARNING_MS.
+   * @param {Object|null} data - WebGazer's prediction (null = none)
+   * @param {Object|null} quality - assessEyePatches() of the frame
+   * @param {number} time - session time of the frame
+   */
+  _trackingFrame(data, quality, time) {
+    this._lastPredictionAt = performance.now();
+
+    let reason = null;
+    if (quality && !quality.face) reason = 'noFace';
+    else if (quality && !quality.eyesValid) reason = 'eyesInvalid';
+    else if (!data) reason = 'noPrediction';
+
+    if (reason) {
+      this._lose(reason, time, time);
+    } else if (this._loss) {
+      if (this._loss.logged) {
+        this.dataStore.addTrackingEvent({
+          type: 'recovered',
+          time,
+          lostFor: Math.round((time - this._loss.since) * 100) / 100
+        });
+      }
+      if (this._loss.warned && this.onTrackingChange) this.onTrackingChange(false);
+      this._loss = null;
+    }
+  }
+
+  /**
+   * Watchdog: WebGazer may stop calling back altogether (camera
+   * stalled, tab throttled).
+   */
+  _checkStalled() {
+    const silentFor = performance.now() - this._lastPredictionAt;
+    if (!this.isTracking || silentFor < STALL_MS) return;
+    this._lose('noFrames', this.dataStore.toSessionTime(this._lastPredictionAt), this.dataStore.now());
+  }
+
+  _lose(reason, since, now) {
+    if (!this._loss) {
+      this._loss = { since, reason, logged: false, warned: false };
+    }
+    const loss = this._loss;
+    const lostFor = now - loss.since;
+    if (!loss.logged && lostFor >= LOSS_CONFIRM_MS) {
+      loss.logged = true;
+      this.dataStore.addTrackingEvent({ type: 'lost', time: loss.since, reason: loss.reason });
+    }
+    if (!loss.warned && lostFor >= LOSS_WARNING_MS) {
+      loss.warned = true;
+      if (this.onTrackingChange) this.onTrackingChange(true, loss.reason);
+    }
+  }
+
+  /**
+   * Name of the first visible region containing (x, y), or "other".
+   * Regions are checked in order, before the canvas, so full-screen
+   * overlays should come first.
+   */
+  _classifyRegion(x, y) {
+    for (const [name, el] of Object.entries(this._regions)) {
+      if (!el || el.getClientRects().length === 0) continue;   // hidden
+      const r = el.getBoundingClientRect();
+      if (x >= r.left && x <= r.right && y >= r.top && y <= r.bottom) {
+        return name;
+      }
+    }
+    return 'other';
+  }
+}
+
+/* ----------------------------------------------------------
+   TRACKING QUALITY
+   ---------------------------------------------------------- */
+
+/**
+ * Judge one frame from the tracker's getEyePatches() result.
+ * Positions are in the (unmirrored) camera image.
+ * @param {Object|false|null} patches - false: no face found; null: no
+ *   frame or degenerate eye patches; else { left, right } patches
+ * @param {number} width - camera frame width (px)
+ * @param {number} height - camera frame height (px)
+ * @returns {{face: boolean, eyesValid: boolean, eyeOpenness: number|null,
+ *   headX: number|null, headY: number|null, distanceCm: number|null}}
+ *   headX/headY: midpoint between the eyes as a fraction of the frame
+ *   (0.5 = centred); distanceCm: rough estimate from the eye separation
+ */
+export function assessEyePatches(patches, width, height) {
+  const none = { eyeOpenness: null, headX: null, headY: null, distanceCm: null };
+  if (patches === false) return { face: false, eyesValid: false, ...none };
+  if (!patches || !patches.left || !patches.right) return { face: true, eyesValid: false, ...none };
+
+  const center = (p) => ({ x: p.imagex + p.width / 2, y: p.imagey + p.height / 2 });
+  const left = center(patches.left);
+  const right = center(patches.right);
+  const openness = (patches.left.height / patches.left.width +
+                    patches.right.height / patches.right.width) / 2;
+
+  const separationPx = Math.hypot(right.x - left.x, right.y - left.y);
+  const focalPx = width / (2 * Math.tan(CAMERA_FOV_DEG * Math.PI / 360));
+
+  return {
+    face: true,
+    eyesValid: openness >= MIN_EYE_OPENNESS,
+    eyeOpenness: Math.round(openness * 100) / 100,
+    headX: Math.round((left.x + right.x) / 2 / width * 1000) / 1000,
+    headY: Math.round((left.y + right.y) / 2 / height * 1000) / 1000,
+    distanceCm: separationPx > 0 ? Math.round(EYE_SEPARATION_CM * focalPx / separationPx) : null
+  };
+}
+
+/**
+ * What's wrong with the participant's position, as an instruction,
+ * or null if they're in position. The preview is mirrored, so left
+ * and right are the participant's own.
+ * @param {Object} quality - assessEyePatches() result
+ * @param {number|null} brightness - mean luma 0–255 of the camera image
+ * @param {Object} options - calibration.headPosition
+ */
+function headPositionProblem(quality, brightness, options) {
+  if (brightness !== null && brightness < options.minBrightness) {
+    return 'Too dark — turn on a light or face a window.';
+  }
+  if (!quality.face) return 'Face not found — look at the screen with your whole face in view.';
+  if (quality.headX === null) return 'Look straight at the screen.';
+  if (quality.distanceCm > options.maxDistanceCm) return 'Move closer to the screen.';
+  if (quality.distanceCm < options.minDistanceCm) return 'Move back a little.';
+
+  const offsetX = (1 - quality.headX) - 0.5;   // mirrored, as in the preview
+  const offsetY = quality.headY - 0.5;
+  if (Math.abs(offsetX) > options.maxOffset || Math.abs(offsetY) > options.maxOffset) {
+    if (Math.abs(offsetX) >= Math.abs(offsetY)) {
+      return offsetX < 0 ? 'Move a little to your right.' : 'Move a little to your left.';
+    }
+    return offsetY < 0 ? 'Move down a little (or tilt the screen up).' : 'Move up a little (or tilt the screen down).';
+  }
+  if (!quality.eyesValid) return 'Open your eyes and look straight at the screen.';
+  return null;
+}
+
+/**
+ * Mean head pose over the last frames the participant held still.
+ */
+function summarizeHeadPose(frames, settledAt, startTime, endTime) {
+  const mean = (key, digits) => {
+    const values = frames.map(f => f[key]).filter(v => v !== null);
+    if (values.length === 0) return null;
+    const factor = 10 ** digits;
+    return Math.round(values.reduce((s, v) => s + v, 0) / values.length * factor) / factor;
+  };
+  return {
+    startTime,
+    endTime,
+    headX: mean('headX', 3),
+    headY: mean('headY', 3),
+    distanceCm: mean('distanceCm', 0),
+    eyeOpenness: mean('eyeOpenness', 2),
+    brightness: mean('brightness', 0),
+    stableFor: settledAt === null ? 0 : Math.round(endTime - settledAt),
+    frameCount: frames.length
+  };
+}
+
+/**
+ * Mean brightness of a video, sampled on a tiny canvas at most
+ * every 250 ms. read() returns null until the video has a frame.
+ */
+function createBrightnessMeter(video) {
+  const canvas = document.createElement('canvas');
+  canvas.width = 32;
+  canvas.height = 24;
+  const ctx = canvas.getContext('2d', { willReadFrequently: true });
+  let value = null;
+  let lastRead = 0;
+
+  return {
+    read() {
+      const now = performance.now();
+      if (now - lastRead < 250 || video.readyState < 2) return value;
+      lastRead = now;
+      ctx.drawImage(video, 0, 0, canvas.width, canvas.height);
+      const { data } = ctx.getImageData(0, 0, canvas.width, canvas.height);
+      let sum = 0;
+      for (let i = 0; i < data.length; i += 4) {
+        sum += 0.299 * data[i] + 0.587 * data[i + 1] + 0.114 * data[i + 2];
+      }
+      value = sum / (data.length / 4);
+      return value;
+    }
+  };
+}
+
+const sleep = (ms) => new Promise(r => setTimeout(r, ms));
+
+/**
+ * One eye of a WebGazer training sample, with its ImageData patch
+ * as plain data (IndexedDB-safe).
+ */
+function serializeEye(eye) {
+  return {
+    imagex: eye.imagex,
+    imagey: eye.imagey,
+    width: eye.patch.width,
+    height: eye.patch.height,
+    patch: { data: new Uint8ClampedArray(eye.patch.data) }
+  };
+}
 
-    this.dataStore.addGazePoint(x, y);
+/**
+ * A shuffled copy (Fisher–Yates).
+ */
+function shuffle(list) {
+  const copy = [...list];
+  for (let i = copy.length - 1; i > 0; i--) {
+    const j = Math.floor(Math.random() * (i + 1));
+    [copy[i], copy[j]] = [copy[j], copy[i]];
   }
+  return copy;
 }
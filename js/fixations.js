@@ -0,0 +1,243 @@
+/* ============================================================
+   fixations.js — Fixation & Saccade Detection
+   ============================================================
+   Pure functions (no DOM) that classify raw gaze samples into
+   fixations and the saccades between them. Two classic
+   algorithms (Salvucci & Goldberg 2000):
+
+   I-DT (dispersion threshold):
+     a run of samples lasting at least minDurationMs whose
+     dispersion — (max x − min x) + (max y − min y) — stays within
+     maxDispersion is one fixation; it grows until the next sample
+     would break the threshold.
+
+   I-VT (velocity threshold):
+     samples moving slower than maxVelocityDegPerS from the
+     previous sample are fixation samples; each run of them lasting
+     at least minDurationMs is one fixation.
+
+   Saccades are the transitions between consecutive fixations
+   (none is reported across a tracking gap).
+
+   classifyGaze() runs the configured algorithm; the DataStore
+   calls it at the end of every trial.
+
+   Thresholds are given in degrees of visual angle and converted
+   with the viewing geometry (see gazemetrics.js). WebGazer is
+   noisy (≈2–4° error), so the defaults are generous compared to
+   lab eye trackers.
+
+   Samples must be time-ordered { x, y, time } in viewport px and
+   ms. A gap longer than maxGapMs (lost face, blink) always ends
+   a fixation.
+   ============================================================ */
+
+import { DEFAULT_GEOMETRY, degreesToPx, pxToDegrees } from './gazemetrics.js';
+
+export const DEFAULT_IDT = {
+  maxDispersionDeg: 2.5,
+  minDurationMs: 100,
+  maxGapMs: 150
+};
+
+// WebGazer's sample-to-sample jitter alone is often > 30°/s at 60Hz,
+// far above the ~30°/s used with lab trackers
+export const DEFAULT_IVT = {
+  maxVelocityDegPerS: 80,
+  minDurationMs: 100,
+  maxGapMs: 150
+};
+
+export const FIXATION_ALGORITHMS = ['idt', 'ivt'];
+
+const round1 = (v) => Math.round(v * 10) / 10;
+
+/**
+ * Detect fixations with I-DT.
+ * @param {{x: number, y: number, time: number}[]} samples - Time-ordered gaze
+ * @param {Object} [options] - { maxDispersionDeg, minDurationMs, maxGapMs }
+ * @param {Object} [geometry] - { pxPerCm, viewingDistanceCm }
+ * @returns {Object[]} fixations (see toFixation)
+ */
+export function detectFixationsIDT(samples, options = {}, geometry = DEFAULT_GEOMETRY) {
+  const opts = { ...DEFAULT_IDT, ...options };
+  const maxDispersion = degreesToPx(opts.maxDispersionDeg, geometry);
+  const fixations = [];
+
+  let start = 0;
+  while (start < samples.length) {
+    // Smallest window that spans minDurationMs without a gap
+    let end = start;
+    while (end + 1 < samples.length &&
+           samples[end].time - samples[start].time < opts.minDurationMs &&
+           samples[end + 1].time - samples[end].time <= opts.maxGapMs) {
+      end++;
+    }
+    if (samples[end].time - samples[start].time < opts.minDurationMs ||
+        dispersion(samples, start, end) > maxDispersion) {
+      start++;
+      continue;
+    }
+
+    // Grow while the dispersion stays under the threshold
+    while (end + 1 < samples.length &&
+           samples[end + 1].time - samples[end].time <= opts.maxGapMs &&
+           dispersion(samples, start, end + 1) <= maxDispersion) {
+      end++;
+    }
+    fixations.push(toFixation(samples, start, end, geometry));
+    start = end + 1;
+  }
+  return fixations;
+}
+
+/**
+ * Detect fixations with I-VT.
+ * @param {{x: number, y: number, time: number}[]} samples - Time-ordered gaze
+ * @param {Object} [options] - { maxVelocityDegPerS, minDurationMs, maxGapMs }
+ * @param {Object} [geometry] - { pxPerCm, viewingDistanceCm }
+ * @returns {Object[]} fixations (see toFixation)
+ */
+export function detectFixationsIVT(samples, options = {}, geometry = DEFAULT_GEOMETRY) {
+  const opts = { ...DEFAULT_IVT, ...options };
+  const fixations = [];
+  let runStart = null;
+
+  const closeRun = (end) => {
+    if (runStart !== null && samples[end].time - samples[runStart].time >= opts.minDurationMs) {
+      fixations.push(toFixation(samples, runStart, end, geometry));
+    }
+    runStart = null;
+  };
+
+  for (let i = 1; i < samples.length; i++) {
+    const dt = samples[i].time - samples[i - 1].time;
+    if (dt <= 0) continue;   // duplicate timestamp: no velocity to judge
+
+    const slow = dt <= opts.maxGapMs &&
+      velocity(samples[i - 1], samples[i], geometry) <= opts.maxVelocityDegPerS;
+    if (slow) {
+      if (runStart === null) runStart = i - 1;
+    } else {
+      closeRun(i - 1);
+    }
+  }
+  if (samples.length > 0) closeRun(samples.length - 1);
+  return fixations;
+}
+
+/**
+ * Saccades between consecutive fixations:
+ * { startTime, endTime, duration, fromFixation, toFixation (indices),
+ *   amplitudePx, amplitudeDeg, peakVelocityDegPerS }
+ * Skipped where tracking dropped out (a gap > maxGapMs) in between.
+ */
+export function detectSaccades(samples, fixations, maxGapMs = DEFAULT_IDT.maxGapMs, geometry = DEFAULT_GEOMETRY) {
+  const saccades = [];
+  let i = 0;
+
+  for (let f = 1; f < fixations.length; f++) {
+    const from = fixations[f - 1];
+    const to = fixations[f];
+
+    // Samples from the last one of `from` to the first one of `to`
+    while (i < samples.length && samples[i].time < from.endTime) i++;
+    let peak = 0;
+    let gap = false;
+    for (let j = i + 1; j < samples.length && samples[j - 1].time < to.startTime; j++) {
+      const dt = samples[j].time - samples[j - 1].time;
+      if (dt > maxGapMs) gap = true;
+      if (dt > 0) peak = Math.max(peak, velocity(samples[j - 1], samples[j], geometry));
+    }
+    if (gap) continue;
+
+    const amplitudePx = Math.hypot(to.x - from.x, to.y - from.y);
+    saccades.push({
+      startTime: from.endTime,
+      endTime: to.startTime,
+      duration: round1(to.startTime - from.endTime),
+      fromFixation: f - 1,
+      toFixation: f,
+      amplitudePx: round1(amplitudePx),
+      amplitudeDeg: Math.round(pxToDegrees(amplitudePx, geometry) * 100) / 100,
+      peakVelocityDegPerS: round1(peak)
+    });
+  }
+  return saccades;
+}
+
+/**
+ * Run the configured classifier over one trial's gaze.
+ * Offscreen samples are dropped first, so they act as tracking gaps.
+ * @param {Object[]} gazeData - trial.gazeData
+ * @param {Object} config - { algorithm: "idt"|"ivt", idt: {...}, ivt: {...} }
+ * @param {Object} [geometry] - { pxPerCm, viewingDistanceCm }
+ * @returns {{algorithm: string, params: Object, geometry: Object,
+ *            fixations: Object[], saccades: Object[]}}
+ */
+export function classifyGaze(gazeData, config, geometry = DEFAULT_GEOMETRY) {
+  const algorithm = config.algorithm;
+  if (!FIXATION_ALGORITHMS.includes(algorithm)) {
+    throw new Error(`Unknown fixation algorithm "${algorithm}" (use ${FIXATION_ALGORITHMS.join(' or ')}).`);
+  }
+  const params = algorithm === 'ivt'
+    ? { ...DEFAULT_IVT, ...(config.ivt || {}) }
+    : { ...DEFAULT_IDT, ...(config.idt || {}) };
+
+  const samples = gazeData.filter(g => g.region !== 'offscreen');
+  const fixations = algorithm === 'ivt'
+    ? detectFixationsIVT(samples, params, geometry)
+    : detectFixationsIDT(samples, params, geometry);
+  const saccades = detectSaccades(samples, fixations, params.maxGapMs, geometry);
+
+  return { algorithm, params, geometry, fixations, saccades };
+}
+
+/**
+ * Summarize samples[start..end] as a fixation:
+ * { startTime, endTime, duration, x, y, canvasX, canvasY,
+ *   dispersionPx, dispersionDeg, sampleCount }
+ * canvasX/canvasY are null when the samples don't carry them.
+ */
+export function toFixation(samples, start, end, geometry = DEFAULT_GEOMETRY) {
+  const run = samples.slice(start, end + 1);
+  const mean = (key) => run.reduce((s, p) => s + p[key], 0) / run.length;
+  const hasCanvas = run.every(p => p.canvasX !== undefined && p.canvasX !== null);
+  const dispersionPx = dispersion(samples, start, end);
+
+  return {
+    startTime: run[0].time,
+    endTime: run[run.length - 1].time,
+    duration: round1(run[run.length - 1].time - run[0].time),
+    x: round1(mean('x')),
+    y: round1(mean('y')),
+    canvasX: hasCanvas ? round1(mean('canvasX')) : null,
+    canvasY: hasCanvas ? round1(mean('canvasY')) : null,
+    dispersionPx: round1(dispersionPx),
+    dispersionDeg: Math.round(pxToDegrees(dispersionPx, geometry) * 100) / 100,
+    sampleCount: run.length
+  };
+}
+
+/**
+ * Angular speed between two samples, in degrees per second.
+ */
+function velocity(a, b, geometry) {
+  const deg = pxToDegrees(Math.hypot(b.x - a.x, b.y - a.y), geometry);
+  return deg / ((b.time - a.time) / 1000);
+}
+
+/**
+ * (max x − min x) + (max y − min y) over samples[start..end].
+ */
+function dispersion(samples, start, end) {
+  let minX = Infinity, maxX = -Infinity, minY = Infinity, maxY = -Infinity;
+  for (let i = start; i <= end; i++) {
+    const { x, y } = samples[i];
+    if (x < minX) minX = x;
+    if (x > maxX) maxX = x;
+    if (y < minY) minY = y;
+    if (y > maxY) maxY = y;
+  }
+  return (maxX - minX) + (maxY - minY);
+}
@@ -0,0 +1,230 @@
+/* ============================================================
+   gazefilter.js — Gaze Smoothing & Outlier Filtering
+   ============================================================
+   Raw WebGazer predictions jump by tens of pixels from frame to
+   frame. A GazeFilter turns them into a steadier signal for the
+   gaze dot (and, optionally, a separate recorded stream). The raw
+   predictions are always what goes into gazeData.
+
+   Two stages, both optional:
+
+   1. Outlier rejection — a sample farther than maxDeviationPx
+      from the median of the previous windowSize raw samples is
+      replaced by that median. Single-frame spikes vanish; a real
+      jump comes through after about windowSize / 2 samples.
+
+   2. Smoothing ("type"):
+        none     — pass through
+        median   — running median of the last windowSize samples
+        oneEuro  — One Euro filter (Casiez et al. 2012): a low-pass
+                   whose cutoff rises with speed, so fixations are
+                   steady and saccades lag little
+        kalman   — constant-velocity Kalman filter per axis
+                   (random acceleration accelerationStdPx, noise
+                   measurementStdPx)
+
+   The filter restarts after a gap longer than maxGapMs (lost face,
+   blink, between trials), so it never smooths across one.
+
+   All positions are viewport CSS px, times ms.
+   ============================================================ */
+
+export const GAZE_FILTER_TYPES = ['none', 'median', 'oneEuro', 'kalman'];
+
+export const DEFAULT_GAZE_FILTER = {
+  type: 'oneEuro',
+  record: false,          // also save the filtered stream (trial.gazeFiltered)
+  maxGapMs: 500,
+  median: { windowSize: 5 },
+  oneEuro: { minCutoff: 0.5, beta: 0.003, dCutoff: 1 },
+  kalman: { accelerationStdPx: 3000, measurementStdPx: 60 },
+  outlier: { enabled: false, windowSize: 5, maxDeviationPx: 300 }
+};
+
+export class GazeFilter {
+  /**
+   * @param {Object} [config] - See DEFAULT_GAZE_FILTER (already normalized
+   *   by experiment.js; missing keys fall back to the defaults)
+   */
+  constructor(config = {}) {
+    this.type = config.type ?? DEFAULT_GAZE_FILTER.type;
+    if (!GAZE_FILTER_TYPES.includes(this.type)) {
+      throw new Error(`Unknown gaze filter "${this.type}" (use ${GAZE_FILTER_TYPES.join(', ')}).`);
+    }
+    this.record = this.type !== 'none' && config.record === true;
+    this.maxGapMs = config.maxGapMs ?? DEFAULT_GAZE_FILTER.maxGapMs;
+    this.params = this.type === 'none'
+      ? {}
+      : { ...DEFAULT_GAZE_FILTER[this.type], ...(config[this.type] || {}) };
+    this.outlier = { ...DEFAULT_GAZE_FILTER.outlier, ...(config.outlier || {}) };
+
+    this.reset();
+  }
+
+  /**
+   * Forget all history; the next sample passes through unchanged.
+   */
+  reset() {
+    this._lastTime = null;
+    this._recent = [];   // raw samples, for outlier rejection
+    this._x = this._makeAxis();
+    this._y = this._makeAxis();
+  }
+
+  /**
+   * Filter one sample.
+   * @param {number} x - viewport CSS px
+   * @param {number} y - viewport CSS px
+   * @param {number} time - ms (any clock, as long as it's consistent)
+   * @returns {{x: number, y: number}} the filtered position
+   */
+  filter(x, y, time) {
+    if (this._lastTime !== null && (time - this._lastTime > this.maxGapMs || time < this._lastTime)) {
+      this.reset();
+    }
+    const dt = this._lastTime === null ? null : (time - this._lastTime) / 1000;
+    this._lastTime = time;
+
+    ({ x, y } = this._rejectOutlier(x, y));
+    return { x: this._x.next(x, dt), y: this._y.next(y, dt) };
+  }
+
+  /**
+   * Settings as saved in the session data, enough to re-run the
+   * filter offline on gazeData.
+   */
+  describe() {
+    return {
+      type: this.type,
+      params: this.params,
+      outlier: this.outlier.enabled ? this.outlier : null,
+      maxGapMs: this.maxGapMs,
+      recorded: this.record
+    };
+  }
+
+  /* ----------------------------------------------------------
+     INTERNAL
+     ---------------------------------------------------------- */
+
+  _rejectOutlier(x, y) {
+    if (!this.outlier.enabled) return { x, y };
+
+    const recent = this._recent;
+    const result = { x, y };
+    if (recent.length >= Math.min(3, this.outlier.windowSize)) {
+      const mx = median(recent.map(p => p.x));
+      const my = median(recent.map(p => p.y));
+      if (Math.hypot(x - mx, y - my) > this.outlier.maxDeviationPx) {
+        result.x = mx;
+        result.y = my;
+      }
+    }
+    recent.push({ x, y });
+    if (recent.length > this.outlier.windowSize) recent.shift();
+    return result;
+  }
+
+  _makeAxis() {
+    switch (this.type) {
+      case 'median': return new MedianAxis(this.params);
+      case 'oneEuro': return new OneEuroAxis(this.params);
+      case 'kalman': return new KalmanAxis(this.params);
+      default: return { next: (v) => v };
+    }
+  }
+}
+
+/* ----------------------------------------------------------
+   PER-AXIS FILTERS
+   Each takes the new value and the seconds since the previous
+   one (null for the first sample) and returns the filtered value.
+   ---------------------------------------------------------- */
+
+class MedianAxis {
+  constructor({ windowSize }) {
+    this.windowSize = windowSize;
+    this.values = [];
+  }
+
+  next(value) {
+    this.values.push(value);
+    if (this.values.length > this.windowSize) this.values.shift();
+    return median(this.values);
+  }
+}
+
+class OneEuroAxis {
+  constructor({ minCutoff, beta, dCutoff }) {
+    this.minCutoff = minCutoff;
+    this.beta = beta;
+    this.dCutoff = dCutoff;
+    this.value = null;
+    this.speed = 0;
+  }
+
+  next(value, dt) {
+    if (this.value === null || !(dt > 0)) {
+      if (this.value === null) this.value = value;
+      return this.value;
+    }
+    const speed = (value - this.value) / dt;
+    this.speed += smoothing(this.dCutoff, dt) * (speed - this.speed);
+    const cutoff = this.minCutoff + this.beta * Math.abs(this.speed);
+    this.value += smoothing(cutoff, dt) * (value - this.value);
+    return this.value;
+  }
+}
+
+class KalmanAxis {
+  constructor({ accelerationStdPx, measurementStdPx }) {
+    this.q = accelerationStdPx * accelerationStdPx;
+    this.r = measurementStdPx * measurementStdPx;
+    this.pos = null;
+    this.vel = 0;
+    this.P = null;   // covariance [[p00, p01], [p01, p11]]
+  }
+
+  next(value, dt) {
+    if (this.pos === null) {
+      this.pos = value;
+      this.P = [this.r, 0, this.q];   // speed unknown: σ ≈ accelerationStdPx px/s
+      return this.pos;
+    }
+    if (dt > 0) {
+      // Predict: constant velocity, random acceleration
+      this.pos += this.vel * dt;
+      const [p00, p01, p11] = this.P;
+      const dt2 = dt * dt;
+      this.P = [
+        p00 + 2 * dt * p01 + dt2 * p11 + this.q * dt2 * dt2 / 4,
+        p01 + dt * p11 + this.q * dt2 * dt / 2,
+        p11 + this.q * dt2
+      ];
+    }
+
+    // Update with the measured position
+    const [p00, p01, p11] = this.P;
+    const k0 = p00 / (p00 + this.r);
+    const k1 = p01 / (p00 + this.r);
+    const innovation = value - this.pos;
+    this.pos += k0 * innovation;
+    this.vel += k1 * innovation;
+    this.P = [(1 - k0) * p00, (1 - k0) * p01, p11 - k1 * p01];
+    return this.pos;
+  }
+}
+
+/**
+ * Exponential smoothing factor for a low-pass at `cutoff` Hz.
+ */
+function smoothing(cutoff, dt) {
+  const tau = 1 / (2 * Math.PI * cutoff);
+  return 1 / (1 + tau / dt);
+}
+
+function median(values) {
+  const sorted = [...values].sort((a, b) => a - b);
+  const mid = sorted.length >> 1;
+  return sorted.length % 2 ? sorted[mid] : (sorted[mid - 1] + sorted[mid]) / 2;
+}
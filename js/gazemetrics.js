@@ -0,0 +1,131 @@
+/* ============================================================
+   gazemetrics.js — Gaze Accuracy & Precision
+   ============================================================
+   Pure functions (no DOM, no WebGazer) that turn gaze samples
+   recorded while the participant looked at a known target into
+   the numbers reviewers ask for:
+
+     accuracy  — how far the gaze is from the target
+                 (distance from the target to the sample centroid)
+     precision — how much the gaze jitters around its own centroid
+                 rmsS2S: RMS of sample-to-sample distances
+                 sd:     sqrt(sd_x² + sd_y²)
+
+   Everything is reported in CSS pixels and in degrees of visual
+   angle. Degrees need the viewing geometry:
+     pxPerCm            — CSS pixels per cm on this screen
+                          (37.8 at 96 CSS dpi; ~52 on most iPads)
+     viewingDistanceCm  — eye-to-screen distance
+   ============================================================ */
+
+export const DEFAULT_GEOMETRY = {
+  pxPerCm: 37.8,
+  viewingDistanceCm: 50
+};
+
+const round2 = (v) => (v === null || Number.isNaN(v)) ? null : Math.round(v * 100) / 100;
+
+/**
+ * Convert an on-screen distance to degrees of visual angle
+ * (for a distance centred on the line of sight).
+ * @param {number} px - distance in CSS pixels
+ * @param {Object} geometry - { pxPerCm, viewingDistanceCm }
+ */
+export function pxToDegrees(px, geometry = DEFAULT_GEOMETRY) {
+  const cm = px / geometry.pxPerCm;
+  return 2 * Math.atan(cm / 2 / geometry.viewingDistanceCm) * 180 / Math.PI;
+}
+
+/**
+ * Convert degrees of visual angle to an on-screen distance (CSS px);
+ * the inverse of pxToDegrees().
+ */
+export function degreesToPx(deg, geometry = DEFAULT_GEOMETRY) {
+  const cm = 2 * geometry.viewingDistanceCm * Math.tan(deg * Math.PI / 180 / 2);
+  return cm * geometry.pxPerCm;
+}
+
+/**
+ * Accuracy/precision for one target.
+ * @param {{x: number, y: number}} target - target centre (viewport px)
+ * @param {{x: number, y: number}[]} samples - gaze samples (viewport px)
+ * @param {Object} geometry - { pxPerCm, viewingDistanceCm }
+ */
+export function targetMetrics(target, samples, geometry = DEFAULT_GEOMETRY) {
+  const n = samples.length;
+  const result = {
+    targetX: round2(target.x),
+    targetY: round2(target.y),
+    sampleCount: n,
+    meanX: null,
+    meanY: null,
+    accuracyPx: null,
+    accuracyDeg: null,
+    rmsS2SPx: null,
+    rmsS2SDeg: null,
+    sdPx: null,
+    sdDeg: null
+  };
+  if (n === 0) return result;
+
+  const meanX = samples.reduce((s, p) => s + p.x, 0) / n;
+  const meanY = samples.reduce((s, p) => s + p.y, 0) / n;
+  const accuracyPx = Math.hypot(meanX - target.x, meanY - target.y);
+
+  let s2s = 0;
+  for (let i = 1; i < n; i++) {
+    s2s += (samples[i].x - samples[i - 1].x) ** 2 + (samples[i].y - samples[i - 1].y) ** 2;
+  }
+  const rmsS2SPx = n > 1 ? Math.sqrt(s2s / (n - 1)) : null;
+
+  const varX = samples.reduce((s, p) => s + (p.x - meanX) ** 2, 0) / n;
+  const varY = samples.reduce((s, p) => s + (p.y - meanY) ** 2, 0) / n;
+  const sdPx = Math.sqrt(varX + varY);
+
+  return {
+    ...result,
+    meanX: round2(meanX),
+    meanY: round2(meanY),
+    accuracyPx: round2(accuracyPx),
+    accuracyDeg: round2(pxToDegrees(accuracyPx, geometry)),
+    rmsS2SPx: round2(rmsS2SPx),
+    rmsS2SDeg: rmsS2SPx === null ? null : round2(pxToDegrees(rmsS2SPx, geometry)),
+    sdPx: round2(sdPx),
+    sdDeg: round2(pxToDegrees(sdPx, geometry))
+  };
+}
+
+/**
+ * Combine per-target results into an overall verdict.
+ * Targets with no samples count as failures.
+ * @param {Object[]} targets - results of targetMetrics()
+ * @param {Object} thresholds - { maxErrorDeg, maxErrorPx } (either may be null)
+ */
+export function summarizeTargets(targets, thresholds = {}) {
+  const valid = targets.filter(t => t.sampleCount > 0);
+  // Over the targets that have the metric (e.g. no rmsS2S from one sample)
+  const mean = (key) => {
+    const values = valid.map(t => t[key]).filter(v => v != null);
+    return values.length ? round2(values.reduce((s, v) => s + v, 0) / values.length) : null;
+  };
+
+  const summary = {
+    accuracyPx: mean('accuracyPx'),
+    accuracyDeg: mean('accuracyDeg'),
+    rmsS2SPx: mean('rmsS2SPx'),
+    rmsS2SDeg: mean('rmsS2SDeg'),
+    sdPx: mean('sdPx'),
+    sdDeg: mean('sdDeg'),
+    targetsWithData: valid.length,
+    targetCount: targets.length
+  };
+
+  let passed = valid.length === targets.length && valid.length > 0;
+  if (passed && thresholds.maxErrorDeg != null) {
+    passed = summary.accuracyDeg <= thresholds.maxErrorDeg;
+  }
+  if (passed && thresholds.maxErrorPx != null) {
+    passed = summary.accuracyPx <= thresholds.maxErrorPx;
+  }
+  return { ...summary, passed };
+}
@@ -0,0 +1,235 @@
+/* ============================================================
+   gazeviz.js — Gaze Heatmap & Scanpath Rendering
+   ============================================================
+   Draws where a participant looked on top of what they drew:
+
+     heatmap  — gaze density: every sample is splatted into a
+                coarse grid, blurred with a Gaussian (sigmaPx),
+                normalized to its peak and colour-mapped
+                (blue → cyan → green → yellow → red)
+     scanpath — fixations as circles (area ∝ duration), numbered
+                in order and joined by saccade lines
+
+   Everything is in canvas-local CSS px — the frame stroke points
+   are recorded in — using the canvas rect stored with the
+   session (sessionfile.js), so overlays line up with the drawing.
+   ============================================================ */
+
+import { CANVAS_BACKGROUND, drawStrokes, visibleStrokesAt } from './strokerender.js';
+import { canvasRectAt, gazeOnCanvas, sessionGeometry } from './sessionfile.js';
+import { detectFixationsIDT } from './fixations.js';
+
+export const DEFAULT_HEATMAP = {
+  sigmaPx: 40,      // spread of each sample; ~1° at 50 cm on a 96-dpi screen is 33px
+  cellPx: 4,        // grid resolution (smaller = slower, barely sharper)
+  opacity: 0.65
+};
+
+const COLOR_STOPS = [
+  [0, [0, 0, 255]],
+  [0.25, [0, 255, 255]],
+  [0.5, [0, 255, 0]],
+  [0.75, [255, 255, 0]],
+  [1, [255, 0, 0]]
+];
+
+/* ----------------------------------------------------------
+   TRIAL FIGURE
+   ---------------------------------------------------------- */
+
+/**
+ * Render one trial's drawing with gaze overlays onto `canvas`.
+ * @param {HTMLCanvasElement} canvas - Output (resized to the trial canvas)
+ * @param {Object} sessionData - A parsed data.json
+ * @param {Object} trial - One of sessionData.trials
+ * @param {Object} [options]
+ * @param {HTMLImageElement} [options.png] - The exported trial PNG; if
+ *   missing, the final drawing is re-rendered from the strokes
+ * @param {boolean} [options.heatmap=true]
+ * @param {boolean} [options.scanpath=true]
+ * @param {Object} [options.heatmapOptions] - See DEFAULT_HEATMAP
+ * @param {Object} [options.fixationOptions] - I-DT settings (see fixations.js)
+ *   for trials recorded without fixation detection
+ * @returns {{samplesOnCanvas: number, fixations: Object[]}} what was drawn
+ */
+export function renderTrialFigure(canvas, sessionData, trial, options = {}) {
+  const { png = null, heatmap = true, scanpath = true } = options;
+  const rect = canvasRectAt(sessionData, trial, trial.startTime);
+  const scale = png && png.naturalWidth ? png.naturalWidth / rect.width : (window.devicePixelRatio || 1);
+
+  canvas.width = Math.round(rect.width * scale);
+  canvas.height = Math.round(rect.height * scale);
+  const ctx = canvas.getContext('2d');
+  ctx.setTransform(scale, 0, 0, scale, 0, 0);
+
+  // The drawing
+  ctx.fillStyle = CANVAS_BACKGROUND;
+  ctx.fillRect(0, 0, rect.width, rect.height);
+  if (png) {
+    ctx.drawImage(png, 0, 0, rect.width, rect.height);
+  } else {
+    drawFinalStrokes(ctx, trial, rect, scale);
+  }
+
+  // Gaze, in canvas coordinates at the time of each sample. Offscreen
+  // predictions are clamped to the window edge, so they'd pile up on
+  // the canvas border: drop them, as classifyGaze() does.
+  const onScreen = trial.gazeData.filter(g => g.region !== 'offscreen');
+  const points = onScreen
+    .map(g => gazeOnCanvas(g, canvasRectAt(sessionData, trial, g.time)))
+    .filter(p => p.x >= 0 && p.y >= 0 && p.x <= rect.width && p.y <= rect.height);
+  if (heatmap) {
+    drawHeatmap(ctx, points, rect.width, rect.height, options.heatmapOptions);
+  }
+
+  // The fixations detected during the session, else I-DT now (older exports)
+  const detected = trial.fixationDetection
+    ? trial.fixations
+    : detectFixationsIDT(onScreen, options.fixationOptions, sessionGeometry(sessionData));
+  const fixations = detected.map(f => ({ ...f, ...gazeOnCanvas(f, canvasRectAt(sessionData, trial, f.startTime)) }));
+  if (scanpath) {
+    drawScanpath(ctx, fixations);
+  }
+
+  return { samplesOnCanvas: points.length, fixations };
+}
+
+/**
+ * Re-render the final drawing from strokes (on its own layer, so the
+ * eraser doesn't cut through the white background).
+ */
+function drawFinalStrokes(ctx, trial, rect, scale) {
+  const layer = document.createElement('canvas');
+  layer.width = Math.round(rect.width * scale);
+  layer.height = Math.round(rect.height * scale);
+  const layerCtx = layer.getContext('2d');
+  layerCtx.setTransform(scale, 0, 0, scale, 0, 0);
+  drawStrokes(layerCtx, visibleStrokesAt(trial));
+  ctx.drawImage(layer, 0, 0, rect.width, rect.height);
+}
+
+/* ----------------------------------------------------------
+   HEATMAP
+   ---------------------------------------------------------- */
+
+/**
+ * @param {CanvasRenderingContext2D} ctx
+ * @param {{x: number, y: number}[]} points - CSS px within width × height
+ * @param {number} width
+ * @param {number} height
+ * @param {Object} [options] - See DEFAULT_HEATMAP
+ */
+export function drawHeatmap(ctx, points, width, height, options = {}) {
+  const { sigmaPx, cellPx, opacity } = { ...DEFAULT_HEATMAP, ...options };
+  const cols = Math.ceil(width / cellPx);
+  const rows = Math.ceil(height / cellPx);
+
+  let grid = new Float32Array(cols * rows);
+  for (const p of points) {
+    const c = Math.min(cols - 1, Math.floor(p.x / cellPx));
+    const r = Math.min(rows - 1, Math.floor(p.y / cellPx));
+    if (c < 0 || r < 0) continue;
+    grid[r * cols + c] += 1;
+  }
+  grid = gaussianBlur(grid, cols, rows, sigmaPx / cellPx);
+
+  let max = 0;
+  for (const v of grid) if (v > max) max = v;
+  if (max === 0) return;
+
+  const image = new ImageData(cols, rows);
+  for (let i = 0; i < grid.length; i++) {
+    const v = grid[i] / max;
+    if (v < 0.02) continue;   // leave the faint tail transparent
+    const [r, g, b] = colormap(v);
+    image.data[i * 4] = r;
+    image.data[i * 4 + 1] = g;
+    image.data[i * 4 + 2] = b;
+    image.data[i * 4 + 3] = Math.round(255 * opacity * Math.min(1, v * 1.5));
+  }
+
+  const tile = document.createElement('canvas');
+  tile.width = cols;
+  tile.height = rows;
+  tile.getContext('2d').putImageData(image, 0, 0);
+
+  ctx.save();
+  ctx.imageSmoothingEnabled = true;
+  ctx.drawImage(tile, 0, 0, cols * cellPx, rows * cellPx);
+  ctx.restore();
+}
+
+/**
+ * Separable Gaussian blur of a cols × rows grid (sigma in cells).
+ */
+function gaussianBlur(grid, cols, rows, sigma) {
+  const radius = Math.max(1, Math.ceil(sigma * 3));
+  const kernel = [];
+  for (let i = -radius; i <= radius; i++) kernel.push(Math.exp(-(i * i) / (2 * sigma * sigma)));
+
+  const pass = (src, horizontal) => {
+    const out = new Float32Array(src.length);
+    for (let r = 0; r < rows; r++) {
+      for (let c = 0; c < cols; c++) {
+        let sum = 0;
+        for (let k = -radius; k <= radius; k++) {
+          const cc = horizontal ? c + k : c;
+          const rr = horizontal ? r : r + k;
+          if (cc < 0 || rr < 0 || cc >= cols || rr >= rows) continue;
+          sum += src[rr * cols + cc] * kernel[k + radius];
+        }
+        out[r * cols + c] = sum;
+      }
+    }
+    return out;
+  };
+  return pass(pass(grid, true), false);
+}
+
+function colormap(v) {
+  for (let i = 1; i < COLOR_STOPS.length; i++) {
+    const [t1, c1] = COLOR_STOPS[i];
+    if (v > t1) continue;
+    const [t0, c0] = COLOR_STOPS[i - 1];
+    const f = (v - t0) / (t1 - t0);
+    return c0.map((ch, j) => Math.round(ch + (c1[j] - ch) * f));
+  }
+  return COLOR_STOPS[COLOR_STOPS.length - 1][1];
+}
+
+/* ----------------------------------------------------------
+   SCANPATH
+   ---------------------------------------------------------- */
+
+/**
+ * @param {CanvasRenderingContext2D} ctx
+ * @param {{x: number, y: number, duration: number}[]} fixations - In
+ *   order, canvas CSS px
+ */
+export function drawScanpath(ctx, fixations) {
+  if (fixations.length === 0) return;
+  const radius = (f) => Math.max(5, Math.min(40, Math.sqrt(f.duration) * 1.2));
+
+  ctx.save();
+  ctx.lineWidth = 1.5;
+  ctx.strokeStyle = 'rgba(38, 70, 83, 0.7)';
+  ctx.beginPath();
+  ctx.moveTo(fixations[0].x, fixations[0].y);
+  for (const f of fixations.slice(1)) ctx.lineTo(f.x, f.y);
+  ctx.stroke();
+
+  ctx.font = '600 11px system-ui, sans-serif';
+  ctx.textAlign = 'center';
+  ctx.textBaseline = 'middle';
+  fixations.forEach((f, i) => {
+    ctx.beginPath();
+    ctx.arc(f.x, f.y, radius(f), 0, Math.PI * 2);
+    ctx.fillStyle = 'rgba(42, 157, 143, 0.35)';
+    ctx.fill();
+    ctx.strokeStyle = 'rgba(38, 70, 83, 0.9)';
+    ctx.stroke();
+    ctx.fillStyle = '#1a1a2e';
+    ctx.fillText(String(i + 1), f.x, f.y);
+  });
+  ctx.restore();
+}
@@ -0,0 +1,294 @@
+/* ============================================================
+   persistence.js — Crash-Safe Session Storage (IndexedDB)
+   ============================================================
+   Everything the DataStore records is also written to IndexedDB
+   as it happens, so a tab reload, crash or iPad sleep doesn't
+   lose the session. On the welcome screen app.js asks this
+   module for an unfinished session for the participant and
+   offers to resume it (or export what was captured).
+
+   WHAT IS WRITTEN, AND WHEN:
+     sessions — session metadata (everything except trials);
+                on every session-level change
+     trials   — trial header (everything except strokes/gaze);
+                at trial start/end, on actions, on stimulus
+     strokes  — one record per stroke, when the stroke ends
+     gaze     — gaze points in chunks of GAZE_CHUNK_SIZE
+     gazeFiltered — the same for the filtered stream, if recorded
+     pngs     — each trial's final drawing
+     models   — the latest accepted gaze model per participant
+                (only with calibration.reuseModel; see app.js)
+     uploads  — bundles waiting to be uploaded (see uploader.js)
+
+   Writes are fire-and-forget: a failed write is logged but never
+   interrupts the study. The exception is queueUpload(), which
+   rejects, so the Uploader knows when a bundle wasn't stored.
+   The in-memory DataStore stays the source of truth while the
+   page is alive.
+   ============================================================ */
+
+const DB_NAME = 'drawing-study';
+const DB_VERSION = 4;
+
+export const GAZE_CHUNK_SIZE = 120;   // ~2 s of gaze at 60Hz
+
+/**
+ * Wrap an IDBRequest in a Promise.
+ */
+function promisify(request) {
+  return new Promise((resolve, reject) => {
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => reject(request.error);
+  });
+}
+
+export class SessionStore {
+  constructor() {
+    this._db = null;
+  }
+
+  /**
+   * True if this browser can persist sessions at all
+   * (IndexedDB is missing in some private-browsing modes).
+   */
+  static isSupported() {
+    return typeof indexedDB !== 'undefined';
+  }
+
+  /**
+   * Open (and if needed create) the database.
+   * @returns {Promise<SessionStore>}
+   */
+  async open() {
+    if (this._db) return this;
+
+    const request = indexedDB.open(DB_NAME, DB_VERSION);
+    request.onupgradeneeded = (event) => {
+      const db = request.result;
+      if (event.oldVersion < 1) {
+        const sessions = db.createObjectStore('sessions', { keyPath: 'sessionId' });
+        sessions.createIndex('participantId', 'participantId');
+        db.createObjectStore('trials', { keyPath: ['sessionId', 'trialNumber'] });
+        db.createObjectStore('strokes', { keyPath: ['sessionId', 'trialNumber', 'strokeId'] });
+        db.createObjectStore('gaze', { keyPath: ['sessionId', 'trialNumber', 'offset'] });
+        db.createObjectStore('pngs', { keyPath: ['sessionId', 'trialNumber'] });
+      }
+      if (event.oldVersion < 2) {
+        db.createObjectStore('gazeFiltered', { keyPath: ['sessionId', 'trialNumber', 'offset'] });
+      }
+      if (event.oldVersion < 3) {
+        db.createObjectStore('models', { keyPath: 'participantId' });
+      }
+      if (event.oldVersion < 4) {
+        db.createObjectStore('uploads', { keyPath: 'uploadId' });
+      }
+    };
+    this._db = await promisify(request);
+    return this;
+  }
+
+  /* ----------------------------------------------------------
+     WRITES (called by DataStore / app.js as data comes in)
+     ---------------------------------------------------------- */
+
+  /**
+   * @param {string} sessionId
+   * @param {Object} meta - sessionData without trials
+   * @param {Object} info - { status, trialsStarted }
+   */
+  saveSession(sessionId, meta, info) {
+    return this._put('sessions', {
+      sessionId,
+      participantId: meta.participantId,
+      status: info.status,
+      trialsStarted: info.trialsStarted,
+      updatedAt: Date.now(),
+      meta
+    });
+  }
+
+  /**
+   * @param {Object} header - trial without strokes and gaze
+   */
+  saveTrial(sessionId, header) {
+    return this._put('trials', { sessionId, trialNumber: header.trialNumber, header });
+  }
+
+  saveStroke(sessionId, trialNumber, stroke) {
+    return this._put('strokes', { sessionId, trialNumber, strokeId: stroke.strokeId, stroke });
+  }
+
+  /**
+   * @param {number} offset - index of the first point in trial.gazeData
+   *   (or trial.gazeFiltered)
+   * @param {Object[]} points
+   * @param {boolean} [filtered] - true for the filtered stream
+   */
+  saveGazeChunk(sessionId, trialNumber, offset, points, filtered = false) {
+    return this._put(filtered ? 'gazeFiltered' : 'gaze', { sessionId, trialNumber, offset, points });
+  }
+
+  savePNG(sessionId, trialNumber, dataURL) {
+    return this._put('pngs', { sessionId, trialNumber, dataURL });
+  }
+
+  /**
+   * Keep a participant's trained gaze model (replaces the previous one).
+   * @param {Object} record - { participantId, sessionId, savedAt, ... }
+   *   plus EyeTracker.exportModel()
+   */
+  saveModel(record) {
+    return this._put('models', record);
+  }
+
+  /**
+   * Add or update a pending upload (Uploader's queue).
+   * @param {Object} record - { uploadId, blob, ... }
+   * @returns {Promise<void>} rejects if the record couldn't be stored
+   *   (quota, private mode, a Blob IndexedDB won't take)
+   */
+  queueUpload(record) {
+    return this._write('uploads', record);
+  }
+
+  removeUpload(uploadId) {
+    return this._delete('uploads', uploadId);
+  }
+
+  /**
+   * Update only the status of a session (e.g. "complete", "abandoned").
+   */
+  async setStatus(sessionId, status) {
+    const record = await this._get('sessions', sessionId);
+    if (!record) return;
+    record.status = status;
+    record.updatedAt = Date.now();
+    await this._put('sessions', record);
+  }
+
+  /* ----------------------------------------------------------
+     READS (resume / recovery)
+     ---------------------------------------------------------- */
+
+  /**
+   * Most recent session for this participant that was never finished.
+   * Sessions that never started a trial are ignored.
+   * @returns {Promise<Object|null>} the session record
+   */
+  async findUnfinished(participantId) {
+    await this.open();
+    const tx = this._db.transaction('sessions', 'readonly');
+    const index = tx.objectStore('sessions').index('participantId');
+    const records = await promisify(index.getAll(participantId));
+    const unfinished = records
+      .filter(r => r.status === 'active' && r.trialsStarted > 0)
+      .sort((a, b) => b.updatedAt - a.updatedAt);
+    return unfinished[0] || null;
+  }
+
+  /**
+   * The participant's saved gaze model, if any.
+   * @returns {Promise<Object|null>}
+   */
+  async loadModel(participantId) {
+    return (await this._get('models', participantId)) || null;
+  }
+
+  /**
+   * Pending uploads, oldest first.
+   * @returns {Promise<Object[]>}
+   */
+  async listUploads() {
+    await this.open();
+    const tx = this._db.transaction('uploads', 'readonly');
+    const records = await promisify(tx.objectStore('uploads').getAll());
+    return records.sort((a, b) => a.createdAt - b.createdAt);
+  }
+
+  /**
+   * Reassemble a full session from its pieces.
+   * @returns {Promise<{sessionData: Object, trialPNGs: (string|null)[]}>}
+   */
+  async loadSession(sessionId) {
+    await this.open();
+    const session = await this._get('sessions', sessionId);
+    if (!session) throw new Error(`No stored session "${sessionId}".`);
+
+    const range = IDBKeyRange.bound([sessionId], [sessionId, []]);
+    const tx = this._db.transaction(['trials', 'strokes', 'gaze', 'gazeFiltered', 'pngs'], 'readonly');
+    const [trials, strokes, gaze, gazeFiltered, pngs] = await Promise.all([
+      promisify(tx.objectStore('trials').getAll(range)),
+      promisify(tx.objectStore('strokes').getAll(range)),
+      promisify(tx.objectStore('gaze').getAll(range)),
+      promisify(tx.objectStore('gazeFiltered').getAll(range)),
+      promisify(tx.objectStore('pngs').getAll(range))
+    ]);
+
+    // Keys sort numerically, so getAll() already returns everything in order
+    const sessionData = { ...session.meta, trials: [] };
+    for (const { header } of trials) {
+      const trial = { ...header, strokes: [], gazeData: [], gazeFiltered: [] };
+      trial.strokes = strokes
+        .filter(s => s.trialNumber === header.trialNumber)
+        .map(s => s.stroke);
+      for (const chunk of gaze.filter(g => g.trialNumber === header.trialNumber)) {
+        trial.gazeData.push(...chunk.points);
+      }
+      for (const chunk of gazeFiltered.filter(g => g.trialNumber === header.trialNumber)) {
+        trial.gazeFiltered.push(...chunk.points);
+      }
+      sessionData.trials.push(trial);
+    }
+
+    const trialPNGs = sessionData.trials.map(t => {
+      const png = pngs.find(p => p.trialNumber === t.trialNumber);
+      return png ? png.dataURL : null;
+    });
+
+    return { sessionData, trialPNGs };
+  }
+
+  /* ----------------------------------------------------------
+     INTERNAL
+     ---------------------------------------------------------- */
+
+  async _put(storeName, value) {
+    try {
+      await this._write(storeName, value);
+    } catch (err) {
+      console.warn(`[SessionStore] Could not save to "${storeName}":`, err);
+    }
+  }
+
+  async _write(storeName, value) {
+    await this.open();
+    const tx = this._db.transaction(storeName, 'readwrite');
+    tx.objectStore(storeName).put(value);
+    await new Promise((resolve, reject) => {
+      tx.oncomplete = resolve;
+      tx.onerror = () => reject(tx.error);
+      tx.onabort = () => reject(tx.error);
+    });
+  }
+
+  async _delete(storeName, key) {
+    try {
+      await this.open();
+      const tx = this._db.transaction(storeName, 'readwrite');
+      tx.objectStore(storeName).delete(key);
+      await new Promise((resolve, reject) => {
+        tx.oncomplete = resolve;
+        tx.onerror = () => reject(tx.error);
+        tx.onabort = () => reject(tx.error);
+      });
+    } catch (err) {
+      console.warn(`[SessionStore] Could not delete from "${storeName}":`, err);
+    }
+  }
+
+  async _get(storeName, key) {
+    await this.open();
+    const tx = this._db.transaction(storeName, 'readonly');
+    return promisify(tx.objectStore(storeName).get(key));
+  }
+}
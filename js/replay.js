@@ -0,0 +1,140 @@
+/* ============================================================
+   replay.js — Replay Page Controller
+   ============================================================
+   Wires replay.html to the ReplayPlayer:
+   1. Loads an exported session (.zip or data.json) picked by
+      the experimenter
+   2. Fills the trial selector
+   3. Drives play/pause, scrubbing, speed and gaze-tail controls
+
+   Everything runs locally in the browser; no data leaves the page.
+   ============================================================ */
+
+import { ReplayPlayer } from './replayer.js';
+import { loadSessionFiles } from './sessionfile.js';
+
+// ---- STATE ----
+let player;
+let session = null;        // { name, sessionData, trialPNGs }
+
+/* ==============================================================
+   DOM REFERENCES
+   ============================================================== */
+const $ = (sel) => document.querySelector(sel);
+
+const elements = {
+  file: $('#replay-file'),
+  trial: $('#replay-trial'),
+  info: $('#replay-info'),
+  error: $('#replay-error'),
+  canvas: $('#replay-canvas'),
+  play: $('#replay-play'),
+  scrub: $('#replay-scrub'),
+  time: $('#replay-time'),
+  speed: $('#replay-speed'),
+  tail: $('#replay-tail'),
+};
+
+/**
+ * ms → "MM:SS.s"
+ */
+function formatTime(ms) {
+  const totalSeconds = Math.max(0, ms) / 1000;
+  const minutes = Math.floor(totalSeconds / 60);
+  const seconds = totalSeconds - minutes * 60;
+  return `${String(minutes).padStart(2, '0')}:${seconds.toFixed(1).padStart(4, '0')}`;
+}
+
+/* ==============================================================
+   LOADING
+   ============================================================== */
+async function onFilesChosen() {
+  const files = elements.file.files;
+  if (!files || files.length === 0) return;
+  elements.error.textContent = '';
+
+  try {
+    session = await loadSessionFiles(files);
+  } catch (err) {
+    console.error('Could not load session:', err);
+    elements.error.textContent = err.message;
+    return;
+  }
+
+  const { sessionData } = session;
+  elements.trial.innerHTML = '';
+  sessionData.trials.forEach((trial, i) => {
+    const option = document.createElement('option');
+    option.value = i;
+    const label = trial.trialId ? `${trial.trialNumber}: ${trial.trialId}` : `${trial.trialNumber}`;
+    option.textContent = `Trial ${label}${trial.interrupted ? ' (interrupted)' : ''}`;
+    elements.trial.appendChild(option);
+  });
+
+  const enabled = sessionData.trials.length > 0;
+  elements.trial.disabled = !enabled;
+  elements.play.disabled = !enabled;
+  elements.scrub.disabled = !enabled;
+  if (enabled) selectTrial(0);
+  else elements.info.textContent = `${session.name}: no trials recorded`;
+}
+
+function selectTrial(index) {
+  const trial = session.sessionData.trials[index];
+  player.load(session.sessionData, index);
+  elements.scrub.max = Math.round(player.duration);
+  setPlaying(false);
+
+  const participant = session.sessionData.participantId || 'unknown participant';
+  const details = [
+    participant,
+    `${trial.strokes.length} strokes`,
+    `${trial.gazeData.length} gaze samples`
+  ];
+  if (trial.instructions) details.push(`“${trial.instructions}”`);
+  elements.info.textContent = details.join(' · ');
+}
+
+/* ==============================================================
+   TRANSPORT
+   ============================================================== */
+function setPlaying(playing) {
+  if (playing) player.play();
+  else player.pause();
+  elements.play.textContent = playing ? 'Pause' : 'Play';
+}
+
+function onTimeUpdate(time, duration) {
+  elements.scrub.value = Math.round(time);
+  elements.time.textContent = `${formatTime(time)} / ${formatTime(duration)}`;
+}
+
+/* ==============================================================
+   INITIALIZATION
+   ============================================================== */
+function init() {
+  player = new ReplayPlayer(elements.canvas);
+  player.onTimeUpdate = onTimeUpdate;
+  player.onEnded = () => setPlaying(false);
+
+  elements.file.addEventListener('change', onFilesChosen);
+  elements.trial.addEventListener('change', () => selectTrial(parseInt(elements.trial.value, 10)));
+  elements.play.addEventListener('click', () => setPlaying(!player.playing));
+  elements.scrub.addEventListener('input', () => player.seek(parseFloat(elements.scrub.value)));
+  elements.speed.addEventListener('change', () => player.setSpeed(parseFloat(elements.speed.value)));
+  elements.tail.addEventListener('change', () => player.setGazeTail(parseFloat(elements.tail.value)));
+
+  // Space toggles playback (unless a control has focus)
+  document.addEventListener('keydown', (e) => {
+    if (e.key !== ' ' || e.target.matches('input, select, button') || !player.trial) return;
+    e.preventDefault();
+    setPlaying(!player.playing);
+  });
+}
+
+// Start the page when DOM is ready
+if (document.readyState === 'loading') {
+  document.addEventListener('DOMContentLoaded', init);
+} else {
+  init();
+}
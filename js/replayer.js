@@ -0,0 +1,244 @@
+/* ============================================================
+   replayer.js — Stroke-Level Session Replay
+   ============================================================
+   Re-renders one trial of an exported session at any moment in
+   time, and plays it back in real time (or faster/slower).
+
+   The frame is the participant's whole window (viewport CSS px):
+   grey background, the canvas as a white rectangle where it sat,
+   stimulus boxes outlined, and the gaze trace on top with a
+   fading tail. Gaze off the canvas (toolbar, stimulus panel)
+   is therefore visible too.
+
+   Strokes are drawn with the same rules as the DrawingEngine
+   (strokerender.js) on their own layer, so the eraser only
+   erases ink, as it did for the participant.
+   ============================================================ */
+
+import { CANVAS_BACKGROUND, drawStroke, visibleStrokesAt, pointsUpTo } from './strokerender.js';
+import { canvasRectAt, trialTimeRange } from './sessionfile.js';
+
+const GAZE_COLOR = '230, 57, 70';   // rgb, alpha added per sample
+
+export class ReplayPlayer {
+  /**
+   * @param {HTMLCanvasElement} canvas - Where the replay is drawn
+   */
+  constructor(canvas) {
+    this.canvas = canvas;
+    this.ctx = canvas.getContext('2d');
+
+    // Strokes are drawn here first so the eraser can't punch
+    // through the background or the gaze trace
+    this._layer = document.createElement('canvas');
+    this._layerCtx = this._layer.getContext('2d');
+
+    this.sessionData = null;
+    this.trial = null;
+    this._range = { start: 0, end: 0 };
+
+    // Playback state
+    this.time = 0;           // ms since trial start
+    this.speed = 1;
+    this.gazeTail = 1000;    // ms of gaze trail behind the current sample (0 = off)
+    this.playing = false;
+    this._raf = null;
+    this._lastFrame = null;
+
+    /** Called with (time, duration) whenever the position changes */
+    this.onTimeUpdate = null;
+    /** Called when playback reaches the end of the trial */
+    this.onEnded = null;
+  }
+
+  /* ----------------------------------------------------------
+     LOADING
+     ---------------------------------------------------------- */
+
+  /**
+   * Show a trial, rewound to its start.
+   * @param {Object} sessionData - A parsed data.json
+   * @param {number} trialIndex - Index into sessionData.trials
+   */
+  load(sessionData, trialIndex) {
+    this.pause();
+    this.sessionData = sessionData;
+    this.trial = sessionData.trials[trialIndex];
+    this._range = trialTimeRange(this.trial);
+    this._sizeFrame();
+    this.seek(0);
+  }
+
+  get duration() {
+    return this._range.end - this._range.start;
+  }
+
+  /**
+   * Size the canvas to the participant's window, at device resolution.
+   */
+  _sizeFrame() {
+    const s = this.sessionData;
+    const rect = canvasRectAt(s, this.trial, this._range.start);
+    this.frameWidth = Math.max(s.screenWidth || 0, rect.left + rect.width);
+    this.frameHeight = Math.max(s.screenHeight || 0, rect.top + rect.height);
+
+    const dpr = window.devicePixelRatio || 1;
+    this.canvas.width = this.frameWidth * dpr;
+    this.canvas.height = this.frameHeight * dpr;
+    this.canvas.style.aspectRatio = `${this.frameWidth} / ${this.frameHeight}`;
+  }
+
+  /* ----------------------------------------------------------
+     PLAYBACK CONTROL
+     ---------------------------------------------------------- */
+
+  play() {
+    if (!this.trial || this.playing) return;
+    if (this.time >= this.duration) this.time = 0;
+    this.playing = true;
+    this._lastFrame = null;
+    this._raf = requestAnimationFrame((now) => this._tick(now));
+  }
+
+  pause() {
+    this.playing = false;
+    if (this._raf !== null) cancelAnimationFrame(this._raf);
+    this._raf = null;
+  }
+
+  /**
+   * Jump to a position.
+   * @param {number} time - ms since trial start
+   */
+  seek(time) {
+    this.time = Math.max(0, Math.min(time, this.duration));
+    this.render();
+    if (this.onTimeUpdate) this.onTimeUpdate(this.time, this.duration);
+  }
+
+  setSpeed(speed) {
+    this.speed = speed;
+  }
+
+  setGazeTail(ms) {
+    this.gazeTail = ms;
+    if (!this.playing) this.render();
+  }
+
+  _tick(now) {
+    if (!this.playing) return;
+    const elapsed = this._lastFrame === null ? 0 : now - this._lastFrame;
+    this._lastFrame = now;
+
+    this.seek(this.time + elapsed * this.speed);
+    if (this.time >= this.duration) {
+      this.pause();
+      if (this.onEnded) this.onEnded();
+      return;
+    }
+    this._raf = requestAnimationFrame((t) => this._tick(t));
+  }
+
+  /* ----------------------------------------------------------
+     RENDERING
+     ---------------------------------------------------------- */
+
+  /**
+   * Draw the trial as it was at the current position.
+   */
+  render() {
+    if (!this.trial) return;
+    const ctx = this.ctx;
+    const t = this._range.start + this.time;   // session ms
+    const rect = canvasRectAt(this.sessionData, this.trial, t);
+    const dpr = window.devicePixelRatio || 1;
+
+    ctx.setTransform(dpr, 0, 0, dpr, 0, 0);
+    ctx.fillStyle = '#e5e7eb';
+    ctx.fillRect(0, 0, this.frameWidth, this.frameHeight);
+    this._drawStimulusBoxes(t);
+
+    ctx.fillStyle = CANVAS_BACKGROUND;
+    ctx.fillRect(rect.left, rect.top, rect.width, rect.height);
+    this._renderStrokes(rect, t, dpr);
+    ctx.drawImage(this._layer, rect.left, rect.top, rect.width, rect.height);
+
+    this._drawGaze(t);
+  }
+
+  _renderStrokes(rect, t, dpr) {
+    const layer = this._layer;
+    const width = Math.round(rect.width * dpr);
+    const height = Math.round(rect.height * dpr);
+    if (layer.width !== width || layer.height !== height) {
+      layer.width = width;
+      layer.height = height;
+    }
+
+    const ctx = this._layerCtx;
+    ctx.setTransform(dpr, 0, 0, dpr, 0, 0);
+    ctx.globalCompositeOperation = 'source-over';
+    ctx.clearRect(0, 0, rect.width, rect.height);
+    for (const stroke of visibleStrokesAt(this.trial, t)) {
+      drawStroke(ctx, stroke, pointsUpTo(stroke, t));
+    }
+    ctx.globalCompositeOperation = 'source-over';
+  }
+
+  /**
+   * Outline the stimulus image and prompt while they were on screen.
+   */
+  _drawStimulusBoxes(t) {
+    const stim = this.trial.stimulus;
+    if (!stim || stim.shownAt == null || t < stim.shownAt) return;
+    if (stim.hiddenAt != null && t >= stim.hiddenAt) return;
+
+    const ctx = this.ctx;
+    ctx.save();
+    ctx.setLineDash([6, 4]);
+    ctx.strokeStyle = '#6b7280';
+    ctx.fillStyle = '#6b7280';
+    ctx.font = '12px system-ui, sans-serif';
+    for (const [label, box] of [['stimulus', stim.imageBox], ['prompt', stim.promptBox]]) {
+      if (!box) continue;
+      ctx.strokeRect(box.x, box.y, box.width, box.height);
+      ctx.fillText(label, box.x + 4, box.y + 14);
+    }
+    ctx.restore();
+  }
+
+  /**
+   * Gaze trail: samples from the last `gazeTail` ms, fading with age,
+   * and a ring at the newest sample.
+   */
+  _drawGaze(t) {
+    // With the tail off, still show a sample from the last ~6 frames
+    const span = Math.max(this.gazeTail, 100);
+    const samples = this.trial.gazeData.filter(g => g.time <= t && g.time > t - span);
+    if (samples.length === 0) return;
+
+    const ctx = this.ctx;
+    ctx.save();
+    ctx.lineWidth = 2;
+    ctx.lineCap = 'round';
+    if (this.gazeTail > 0) {
+      for (let i = 1; i < samples.length; i++) {
+        const alpha = 1 - (t - samples[i].time) / this.gazeTail;
+        ctx.strokeStyle = `rgba(${GAZE_COLOR}, ${alpha.toFixed(3)})`;
+        ctx.beginPath();
+        ctx.moveTo(samples[i - 1].x, samples[i - 1].y);
+        ctx.lineTo(samples[i].x, samples[i].y);
+        ctx.stroke();
+      }
+    }
+
+    const last = samples[samples.length - 1];
+    ctx.beginPath();
+    ctx.arc(last.x, last.y, 10, 0, Math.PI * 2);
+    ctx.fillStyle = `rgba(${GAZE_COLOR}, 0.3)`;
+    ctx.fill();
+    ctx.strokeStyle = `rgba(${GAZE_COLOR}, 0.9)`;
+    ctx.stroke();
+    ctx.restore();
+  }
+}
@@ -0,0 +1,153 @@
+/* ============================================================
+   sessionfile.js — Load Exported Sessions
+   ============================================================
+   Reads what the study exports back into memory, for the
+   replay/analysis page. Accepts either:
+
+     - the downloaded .zip (data.json + trialN.png), or
+     - data.json on its own, optionally selected together with
+       its trialN.png files (e.g. an unzipped analysis/ folder)
+
+   Returns { name, sessionData, trialPNGs }, where trialPNGs[i]
+   is a data URL for trial i + 1, or null if it wasn't provided.
+
+   Also home to the helpers for reading the recorded geometry
+   (where the canvas sat on screen, trial time ranges), so every
+   analysis view interprets sessions — old exports included —
+   the same way.
+   ============================================================ */
+
+import { DEFAULT_GEOMETRY } from './gazemetrics.js';
+
+/**
+ * @param {FileList|File[]} files - Files picked by the user
+ * @returns {Promise<{name: string, sessionData: Object, trialPNGs: (string|null)[]}>}
+ */
+export async function loadSessionFiles(files) {
+  files = [...files];
+  const zip = files.find(f => /\.zip$/i.test(f.name));
+  if (zip) return loadZip(zip);
+
+  const json = files.find(f => /\.json$/i.test(f.name));
+  if (!json) throw new Error('Choose an exported .zip or a data.json file.');
+
+  const sessionData = parseSession(await json.text(), json.name);
+  const trialPNGs = await Promise.all(sessionData.trials.map((t, i) => {
+    const png = files.find(f => pngTrialNumber(f.name) === i + 1);
+    return png ? readAsDataURL(png) : null;
+  }));
+  return { name: json.name, sessionData, trialPNGs };
+}
+
+async function loadZip(file) {
+  if (typeof JSZip === 'undefined') {
+    throw new Error('JSZip is not loaded; unzip the export and choose data.json instead.');
+  }
+
+  const zip = await JSZip.loadAsync(file);
+  const entries = Object.values(zip.files).filter(e => !e.dir);
+  const dataEntry = entries.find(e => /(^|\/)data\.json$/.test(e.name));
+  if (!dataEntry) throw new Error(`No data.json in "${file.name}".`);
+
+  const sessionData = parseSession(await dataEntry.async('string'), file.name);
+  const trialPNGs = await Promise.all(sessionData.trials.map(async (t, i) => {
+    const png = entries.find(e => pngTrialNumber(e.name) === i + 1);
+    return png ? 'data:image/png;base64,' + await png.async('base64') : null;
+  }));
+  return { name: file.name, sessionData, trialPNGs };
+}
+
+function parseSession(text, name) {
+  let data;
+  try {
+    data = JSON.parse(text);
+  } catch (err) {
+    throw new Error(`"${name}" is not valid JSON: ${err.message}`);
+  }
+  if (!data || !Array.isArray(data.trials)) {
+    throw new Error(`"${name}" is not a session export (no "trials" list).`);
+  }
+  return data;
+}
+
+/**
+ * "trial2.png" / "P001_trial2.png" → 2; anything else → null.
+ */
+function pngTrialNumber(path) {
+  const match = /(?:^|[/_])trial(\d+)\.png$/i.exec(path);
+  return match ? parseInt(match[1], 10) : null;
+}
+
+function readAsDataURL(file) {
+  return new Promise((resolve, reject) => {
+    const reader = new FileReader();
+    reader.onload = () => resolve(reader.result);
+    reader.onerror = () => reject(reader.error);
+    reader.readAsDataURL(file);
+  });
+}
+
+/* ----------------------------------------------------------
+   GEOMETRY
+   Where the canvas was on screen, so viewport-pixel gaze and
+   canvas-pixel strokes can be drawn in one frame.
+   ---------------------------------------------------------- */
+
+// Exports from before canvasRect was recorded: full-width canvas
+// directly under the 48px top bar
+const LEGACY_CANVAS_TOP = 48;
+
+/**
+ * The canvas rect (viewport CSS px) in effect at `time` (session ms).
+ * @returns {{left: number, top: number, width: number, height: number}}
+ */
+export function canvasRectAt(sessionData, trial, time = Infinity) {
+  let rect = trial.canvasRect || sessionData.canvasRect || {
+    left: 0,
+    top: LEGACY_CANVAS_TOP,
+    width: sessionData.canvasWidth,
+    height: sessionData.canvasHeight
+  };
+  for (const change of trial.canvasRectChanges || []) {
+    if (change.time > time) break;
+    rect = change;
+  }
+  return { left: rect.left, top: rect.top, width: rect.width, height: rect.height };
+}
+
+/**
+ * A gaze sample in canvas-local CSS px (the stroke frame).
+ */
+export function gazeOnCanvas(sample, rect) {
+  return {
+    x: sample.canvasX ?? sample.x - rect.left,
+    y: sample.canvasY ?? sample.y - rect.top
+  };
+}
+
+/**
+ * Start and end of a trial (session ms). Trials cut off by a crash
+ * have no endTime; they end at their last recorded sample.
+ */
+export function trialTimeRange(trial) {
+  let end = trial.endTime;
+  if (end === null || end === undefined) {
+    end = trial.startTime;
+    for (const stroke of trial.strokes) {
+      const last = stroke.points[stroke.points.length - 1];
+      if (last) end = Math.max(end, last.time);
+    }
+    for (const sample of trial.gazeData) end = Math.max(end, sample.time);
+  }
+  return { start: trial.startTime, end };
+}
+
+/**
+ * Viewing geometry used for this session's degree conversions:
+ * that of the latest calibration check, else the default.
+ * @returns {{pxPerCm: number, viewingDistanceCm: number}}
+ */
+export function sessionGeometry(sessionData) {
+  const checked = (sessionData.calibrations || []).filter(c => c.validation && c.validation.geometry);
+  return checked.length ? checked[checked.length - 1].validation.geometry : DEFAULT_GEOMETRY;
+}
@@ -0,0 +1,291 @@
+/* ============================================================
+   stimulus.js — Per-Trial Prompts & Reference Images
+   ============================================================
+   Shows what the participant should draw. A trial's "stimulus"
+   (from experiment.json) can have a text prompt, an image, or
+   both, presented in one of these modes:
+
+     "side-by-side" — prompt + image in a panel next to the canvas
+                      for the whole trial (copy tasks)
+     "before"       — prompt + image fill the screen for `duration`
+                      seconds (or until Continue), then disappear
+                      before drawing starts (memory / recall tasks)
+     "underlay"     — image shown faintly over the canvas, under
+                      the strokes visually, for tracing. It is NOT
+                      part of the exported PNG.
+     "prompt"       — text prompt only, in a bar above the canvas
+
+   Everything shown is recorded in the trial (trial.stimulus):
+   which stimulus, when it was shown/hidden, and the on-screen
+   bounding boxes (viewport CSS pixels) of the image and prompt.
+   ============================================================ */
+
+export class StimulusPresenter {
+  /**
+   * @param {DataStore} dataStore - Reference to the data store
+   * @param {Object} els - DOM elements used for presentation
+   * @param {HTMLElement} els.panel - Side-by-side panel
+   * @param {HTMLElement} els.panelPrompt
+   * @param {HTMLImageElement} els.panelImage
+   * @param {HTMLElement} els.promptBar - Prompt bar above the canvas
+   * @param {HTMLImageElement} els.underlay - Tracing image over the canvas
+   * @param {HTMLElement} els.overlay - Full-screen "before" overlay
+   * @param {HTMLElement} els.overlayPrompt
+   * @param {HTMLImageElement} els.overlayImage
+   * @param {HTMLButtonElement} els.overlayContinue
+   */
+  constructor(dataStore, els) {
+    this.dataStore = dataStore;
+    this.els = els;
+
+    this._images = new Map();   // url → preloaded Image
+    this._current = null;       // { stimulus, record, imageEl, promptEl }
+    this._pending = null;       // { stimulus } while begin() loads its image
+  }
+
+  /* ----------------------------------------------------------
+     PRELOADING
+     ---------------------------------------------------------- */
+
+  /**
+   * Start loading every stimulus image so trials don't wait on the network.
+   * @param {Object[]} trials - Normalized trial definitions
+   */
+  preload(trials) {
+    for (const trial of trials) {
+      const url = trial.stimulus?.image;
+      if (url && !this._images.has(url)) {
+        const img = new Image();
+        img.src = url;
+        this._images.set(url, img);
+      }
+    }
+  }
+
+  /**
+   * Resolve once an image URL has loaded (or failed).
+   */
+  _loadImage(url) {
+    let img = this._images.get(url);
+    if (!img) {
+      img = new Image();
+      img.src = url;
+      this._images.set(url, img);
+    }
+    if (img.complete && img.naturalWidth > 0) return Promise.resolve(img);
+
+    return new Promise((resolve, reject) => {
+      img.addEventListener('load', () => resolve(img), { once: true });
+      img.addEventListener('error', () => reject(new Error(`Could not load stimulus image "${url}".`)), { once: true });
+    });
+  }
+
+  /* ----------------------------------------------------------
+     PRESENTATION
+     ---------------------------------------------------------- */
+
+  /**
+   * Present a trial's stimulus. For "before" mode this resolves when
+   * the study phase is over (drawing may start); for the other modes
+   * it resolves as soon as the stimulus is on screen. If end() or
+   * another begin() comes first, it gives up without showing anything.
+   * @param {Object|null} stimulus - Normalized stimulus definition
+   * @returns {Promise<void>}
+   */
+  async begin(stimulus) {
+    this.end();
+    if (!stimulus) return;
+    const pending = { stimulus };
+    this._pending = pending;
+
+    let image = null;
+    if (stimulus.image) {
+      try {
+        image = await this._loadImage(stimulus.image);
+      } catch (err) {
+        // Show the prompt anyway; the record notes the failure
+        console.error(err);
+      }
+    }
+    if (this._pending !== pending) return;
+    this._pending = null;
+
+    const record = {
+      id: stimulus.id,
+      mode: stimulus.mode,
+      prompt: stimulus.prompt,
+      image: stimulus.image,
+      imageLoaded: !!image,
+      imageNaturalWidth: image ? image.naturalWidth : null,
+      imageNaturalHeight: image ? image.naturalHeight : null,
+      shownAt: null,
+      hiddenAt: null,
+      imageBox: null,
+      promptBox: null,
+      relayouts: []
+    };
+    this.dataStore.setStimulus(record);
+
+    const { imageEl, promptEl } = this._show(stimulus, image);
+    const current = { stimulus, record, imageEl, promptEl };
+    this._current = current;
+
+    // Wait a frame so layout reflects the newly shown elements
+    await new Promise(r => requestAnimationFrame(r));
+    if (this._current !== current) return;
+    record.shownAt = this.dataStore.now();
+    Object.assign(record, this._measure());
+
+    if (stimulus.mode === 'before') {
+      await this._waitForStudyPhase(stimulus);
+      if (this._current === current) this.end();
+    }
+  }
+
+  /**
+   * Hide whatever is showing and stamp hiddenAt.
+   */
+  end() {
+    this._pending = null;
+    if (!this._current) return;
+    this._current.record.hiddenAt = this.dataStore.now();
+    this._current = null;
+
+    const els = this.els;
+    els.panel.classList.remove('visible', 'right');
+    els.promptBar.classList.remove('visible');
+    els.underlay.classList.remove('visible');
+    els.overlay.classList.remove('visible');
+    for (const img of [els.panelImage, els.underlay, els.overlayImage]) {
+      img.removeAttribute('src');
+    }
+  }
+
+  /**
+   * Re-measure after a window resize so the record keeps up with layout.
+   */
+  relayout() {
+    if (!this._current) return;
+    this._current.record.relayouts.push({
+      time: this.dataStore.now(),
+      ...this._measure()
+    });
+  }
+
+  /**
+   * True while a stimulus changes the canvas layout (side panel / prompt bar),
+   * i.e. the canvas needs a resize after begin() and end().
+   */
+  static affectsLayout(stimulus) {
+    return !!stimulus && stimulus.mode !== 'before';
+  }
+
+  /* ----------------------------------------------------------
+     INTERNAL
+     ---------------------------------------------------------- */
+
+  _show(stimulus, image) {
+    const els = this.els;
+    let imageEl = null;
+    let promptEl = null;
+
+    const setPrompt = (el) => {
+      el.textContent = stimulus.prompt || '';
+      el.style.display = stimulus.prompt ? '' : 'none';
+      return stimulus.prompt ? el : null;
+    };
+    const setImage = (el) => {
+      if (!image) {
+        el.style.display = 'none';
+        return null;
+      }
+      el.src = image.src;
+      el.style.display = '';
+      return el;
+    };
+
+    switch (stimulus.mode) {
+      case 'side-by-side':
+        promptEl = setPrompt(els.panelPrompt);
+        imageEl = setImage(els.panelImage);
+        els.panel.classList.toggle('right', stimulus.side === 'right');
+        els.panel.classList.add('visible');
+        break;
+
+      case 'before':
+        promptEl = setPrompt(els.overlayPrompt);
+        imageEl = setImage(els.overlayImage);
+        els.overlayContinue.style.display = stimulus.duration ? 'none' : '';
+        els.overlay.classList.add('visible');
+        break;
+
+      case 'underlay':
+        if (stimulus.prompt) {
+          promptEl = setPrompt(els.promptBar);
+          els.promptBar.classList.add('visible');
+        }
+        imageEl = setImage(els.underlay);
+        els.underlay.style.opacity = stimulus.underlayOpacity;
+        els.underlay.classList.add('visible');
+        break;
+
+      default: // 'prompt'
+        promptEl = setPrompt(els.promptBar);
+        els.promptBar.classList.add('visible');
+    }
+
+    return { imageEl, promptEl };
+  }
+
+  /**
+   * Resolve after the study phase: a fixed duration, or the Continue button.
+   */
+  _waitForStudyPhase(stimulus) {
+    if (stimulus.duration) {
+      return new Promise(r => setTimeout(r, stimulus.duration * 1000));
+    }
+    return new Promise(r => {
+      this.els.overlayContinue.addEventListener('click', r, { once: true });
+    });
+  }
+
+  /**
+   * Bounding boxes (viewport CSS px) of the visible image and prompt.
+   * Images use object-fit: contain, so we compute the box of the
+   * rendered picture itself, not the (letterboxed) element.
+   */
+  _measure() {
+    const { imageEl, promptEl } = this._current;
+    return {
+      imageBox: imageEl ? containedImageBox(imageEl) : null,
+      promptBox: promptEl ? roundRect(promptEl.getBoundingClientRect()) : null
+    };
+  }
+}
+
+/* ----------------------------------------------------------
+   GEOMETRY HELPERS
+   ---------------------------------------------------------- */
+
+function roundRect(r) {
+  const round = (v) => Math.round(v * 10) / 10;
+  return { x: round(r.left), y: round(r.top), width: round(r.width), height: round(r.height) };
+}
+
+/**
+ * The on-screen box of an <img> drawn with object-fit: contain.
+ */
+function containedImageBox(img) {
+  const el = img.getBoundingClientRect();
+  if (!img.naturalWidth || !img.naturalHeight) return roundRect(el);
+
+  const scale = Math.min(el.width / img.naturalWidth, el.height / img.naturalHeight);
+  const width = img.naturalWidth * scale;
+  const height = img.naturalHeight * scale;
+  return roundRect({
+    left: el.left + (el.width - width) / 2,
+    top: el.top + (el.height - height) / 2,
+    width,
+    height
+  });
+}
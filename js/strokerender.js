@@ -0,0 +1,125 @@
+/* ============================================================
+   strokerender.js — Shared Stroke Rendering & Visibility
+   ============================================================
+   The one place that knows how a recorded stroke looks on a
+   canvas. DrawingEngine uses it live; the replay player uses it
+   to re-render exported sessions, and strokesvg.js follows the
+   same rules for the SVG export, so they always agree:
+
+     pen    — round caps/joins, stroke color, lineWidth = thickness
+     eraser — destination-out, lineWidth = thickness × 4
+
+   visibleStrokesAt() rebuilds which strokes are on the canvas at
+   any moment of a trial, in drawing order, from the strokes and
+   the undo/redo/clear actions — including sessions exported
+   before actions listed their strokeIds.
+   ============================================================ */
+
+export const ERASER_SCALE = 4;   // eraser is bigger than the pen
+export const CANVAS_BACKGROUND = '#ffffff';
+
+/**
+ * Apply a stroke's tool style to a 2D context.
+ * @param {CanvasRenderingContext2D} ctx
+ * @param {{tool: string, color: string, thickness: number}} style
+ */
+export function applyStrokeStyle(ctx, style) {
+  ctx.lineCap = 'round';
+  ctx.lineJoin = 'round';
+
+  if (style.tool === 'eraser') {
+    ctx.globalCompositeOperation = 'destination-out';
+    ctx.strokeStyle = 'rgba(0,0,0,1)';
+    ctx.lineWidth = style.thickness * ERASER_SCALE;
+  } else {
+    ctx.globalCompositeOperation = 'source-over';
+    ctx.strokeStyle = style.color;
+    ctx.lineWidth = style.thickness;
+  }
+}
+
+/**
+ * Draw one stroke as a single path.
+ * @param {CanvasRenderingContext2D} ctx
+ * @param {Object} stroke - { tool, color, thickness, points }
+ * @param {{x: number, y: number}[]} [points] - Subset to draw (e.g. the
+ *   part of the stroke drawn so far); defaults to all points
+ */
+export function drawStroke(ctx, stroke, points = stroke.points) {
+  if (points.length === 0) return;
+
+  ctx.beginPath();
+  applyStrokeStyle(ctx, stroke);
+  ctx.moveTo(points[0].x, points[0].y);
+  for (let i = 1; i < points.length; i++) {
+    ctx.lineTo(points[i].x, points[i].y);
+  }
+  ctx.stroke();
+}
+
+/**
+ * Draw strokes in order, then reset the composite operation.
+ */
+export function drawStrokes(ctx, strokes) {
+  for (const stroke of strokes) {
+    drawStroke(ctx, stroke);
+  }
+  ctx.globalCompositeOperation = 'source-over';
+}
+
+/**
+ * Strokes on the canvas at `time` (session ms), in drawing order —
+ * the order DrawingEngine would replay them. A redo puts strokes
+ * back at the end, exactly like the engine's history.
+ *
+ * Actions without strokeIds (older exports) are interpreted the
+ * way the engine executed them: undo drops the last stroke, clear
+ * drops everything.
+ *
+ * Strokes still being drawn at `time` are included; use
+ * pointsUpTo() to draw only their finished part.
+ * @param {Object} trial - A trial from data.json
+ * @param {number} [time] - Session ms (default: end of trial)
+ * @returns {Object[]} stroke records
+ */
+export function visibleStrokesAt(trial, time = Infinity) {
+  const events = [
+    ...trial.strokes.map(stroke => ({ time: stroke.startTime, stroke })),
+    ...(trial.actions || []).map(action => ({ time: action.time, action }))
+  ].sort((a, b) => a.time - b.time);
+
+  const byId = new Map(trial.strokes.map(s => [s.strokeId, s]));
+  let history = [];
+
+  for (const event of events) {
+    if (event.time > time) break;
+    if (event.stroke) {
+      history.push(event.stroke);
+      continue;
+    }
+
+    const { type, strokeIds } = event.action;
+    if (Array.isArray(strokeIds)) {
+      if (type === 'redo') {
+        history.push(...strokeIds.map(id => byId.get(id)).filter(Boolean));
+      } else {
+        history = history.filter(s => !strokeIds.includes(s.strokeId));
+      }
+    } else if (type === 'undo') {
+      history.pop();
+    } else if (type === 'clear') {
+      history = [];
+    }
+  }
+  return history;
+}
+
+/**
+ * The points of a stroke recorded at or before `time`.
+ */
+export function pointsUpTo(stroke, time) {
+  if (stroke.endTime !== null && stroke.endTime <= time) return stroke.points;
+  let n = 0;
+  while (n < stroke.points.length && stroke.points[n].time <= time) n++;
+  return stroke.points.slice(0, n);
+}
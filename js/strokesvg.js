@@ -0,0 +1,127 @@
+/* ============================================================
+   strokesvg.js — Vector (SVG) Drawings
+   ============================================================
+   Renders a trial's final drawing as SVG, following the rules of
+   strokerender.js so it matches trialN.png:
+
+     pen    — one <path> per stroke, in drawing order: stroke
+              color, stroke-width = thickness, round caps/joins
+     eraser — stroke-width = thickness × 4, as a mask over
+              everything drawn before it
+
+   Erased areas show the white background, as in the (opaque)
+   PNG. Strokes with a single point leave no mark on the
+   canvas and get no path. Each path carries data-stroke-id, the
+   strokeId in data.json / strokes.csv. Coordinates are canvas CSS
+   px, as recorded; the SVG is the size of the canvas at the end of
+   the trial (canvasRectAt — a side panel or prompt bar makes it
+   smaller than at the start).
+
+   PRESSURE:
+   With { pressure: true }, pen strokes become filled outlines
+   whose width follows the stylus: thickness × (0.5 + pressure) —
+   a mouse (pressure 0.5) draws exactly `thickness` wide.
+   ============================================================ */
+
+import { CANVAS_BACKGROUND, ERASER_SCALE, visibleStrokesAt } from './strokerender.js';
+import { canvasRectAt } from './sessionfile.js';
+
+/**
+ * The trial's final drawing as an SVG document.
+ * @param {Object} sessionData - A parsed data.json
+ * @param {Object} trial - One of sessionData.trials
+ * @param {Object} [options]
+ * @param {boolean} [options.pressure=false] - pressure-variable pen width
+ * @param {number} [options.width] - default: the trial's final canvas
+ * @param {number} [options.height]
+ * @returns {string}
+ */
+export function trialToSVG(sessionData, trial, { pressure = false, width, height } = {}) {
+  const rect = canvasRectAt(sessionData, trial);
+  const w = width ?? rect.width ?? 0;
+  const h = height ?? rect.height ?? 0;
+
+  const masks = [];
+  let content = '';
+  for (const stroke of visibleStrokesAt(trial)) {
+    const points = stroke.points || [];
+    if (points.length < 2) continue;
+
+    if (stroke.tool === 'eraser') {
+      // Hide everything drawn so far under the eraser's path
+      const id = `erase-${stroke.strokeId}`;
+      masks.push(`<mask id="${id}" maskUnits="userSpaceOnUse" x="0" y="0" width="${w}" height="${h}">` +
+        `<rect width="${w}" height="${h}" fill="#ffffff"/>` +
+        `<path d="${centerline(points)}" fill="none" stroke="#000000" stroke-width="${num(stroke.thickness * ERASER_SCALE)}"` +
+        ' stroke-linecap="round" stroke-linejoin="round"/></mask>');
+      content = `<g mask="url(#${id})">${content}</g>`;
+    } else if (pressure) {
+      content += `\n<path data-stroke-id="${stroke.strokeId}" d="${outline(points, stroke.thickness)}"` +
+        ` fill="${escapeXML(stroke.color)}"/>`;
+    } else {
+      content += `\n<path data-stroke-id="${stroke.strokeId}" d="${centerline(points)}" fill="none"` +
+        ` stroke="${escapeXML(stroke.color)}" stroke-width="${num(stroke.thickness)}"` +
+        ' stroke-linecap="round" stroke-linejoin="round"/>';
+    }
+  }
+
+  return '<?xml version="1.0" encoding="UTF-8"?>\n' +
+    `<svg xmlns="http://www.w3.org/2000/svg" width="${w}" height="${h}" viewBox="0 0 ${w} ${h}"` +
+    ` data-trial-number="${trial.trialNumber}">\n` +
+    (masks.length > 0 ? `<defs>\n${masks.join('\n')}\n</defs>\n` : '') +
+    `<rect width="${w}" height="${h}" fill="${CANVAS_BACKGROUND}"/>\n` +
+    `<g>${content}\n</g>\n</svg>\n`;
+}
+
+/* ----------------------------------------------------------
+   HELPERS
+   ---------------------------------------------------------- */
+
+/**
+ * "M x y L x y ..." through the points.
+ */
+function centerline(points) {
+  return points.map((p, i) => `${i === 0 ? 'M' : 'L'}${num(p.x)} ${num(p.y)}`).join(' ');
+}
+
+/**
+ * Filled outline of a stroke with width thickness × (0.5 + pressure)
+ * at each point, and round ends.
+ */
+function outline(points, thickness) {
+  const radius = points.map(p => thickness * (0.5 + (p.pressure ?? 0.5)) / 2);
+  const left = [];
+  const right = [];
+  let nx = 0;
+  let ny = 1;
+  for (let i = 0; i < points.length; i++) {
+    // Normal to the direction through the neighbouring points
+    const a = points[Math.max(0, i - 1)];
+    const b = points[Math.min(points.length - 1, i + 1)];
+    const dx = b.x - a.x;
+    const dy = b.y - a.y;
+    const length = Math.hypot(dx, dy);
+    if (length > 0) {
+      nx = -dy / length;
+      ny = dx / length;
+    }
+    const { x, y } = points[i];
+    left.push(`${num(x + nx * radius[i])} ${num(y + ny * radius[i])}`);
+    right.push(`${num(x - nx * radius[i])} ${num(y - ny * radius[i])}`);
+  }
+
+  const last = points.length - 1;
+  const cap = (r, to) => `A${num(r)} ${num(r)} 0 0 0 ${to}`;
+  return `M${left[0]} L${left.slice(1).join(' L')} ${cap(radius[last], right[last])} ` +
+    `L${right.slice(0, last).reverse().join(' L')} ${cap(radius[0], left[0])} Z`;
+}
+
+function num(value) {
+  return String(Math.round(value * 100) / 100);
+}
+
+function escapeXML(text) {
+  return String(text).replace(/[<>&"']/g, c => ({
+    '<': '&lt;', '>': '&gt;', '&': '&amp;', '"': '&quot;', '\'': '&apos;'
+  })[c]);
+}
@@ -0,0 +1,374 @@
+/* ============================================================
+   uploader.js — Session Upload with Retry & Offline Queue
+   ============================================================
+   Sends the session bundle (the same ZIP as the download) to the
+   study's upload endpoint — the "upload" block of experiment.json
+   — so the data doesn't depend on someone copying ZIPs off the
+   iPad.
+
+   - Chunked: the bundle goes up in chunkSize pieces. An upload
+     that was cut off resumes with the chunks the server is missing.
+   - Retry: a failed request is retried up to maxRetries times,
+     after retryDelay seconds, then twice as long each time (at
+     most a minute). Server errors (5xx, 408, 429) and network
+     errors are retried; other refusals (bad token, invalid bundle)
+     are not.
+   - Offline queue: bundles wait in IndexedDB (SessionStore) until
+     they are uploaded, across reloads. The queue is retried when
+     the page opens and whenever the browser comes back online.
+     A bundle IndexedDB won't store (quota, private mode) is kept
+     in memory instead and still uploaded, but is lost on reload;
+     its status then has persistent: false.
+   - Checksum: the server checks the bundle's SHA-256, computed here
+     a slice at a time so the bundle is never read into one buffer.
+
+   Protocol and a reference receiver: server/receiver.mjs.
+   ============================================================ */
+
+const MAX_DELAY_MS = 60000;
+const HASH_SLICE_BYTES = 4 * 1024 * 1024;
+
+export class UploadError extends Error {
+  /**
+   * @param {string} message
+   * @param {Object} [info] - { status: HTTP status or null, retryable }
+   */
+  constructor(message, { status = null, retryable = true } = {}) {
+    super(message);
+    this.name = 'UploadError';
+    this.status = status;
+    this.retryable = retryable;
+  }
+}
+
+export class Uploader {
+  /**
+   * @param {SessionStore|null} [queue] - persists pending uploads;
+   *   without one they are kept in memory until the page closes
+   */
+  constructor(queue = null) {
+    this.queue = queue;
+    this._memory = new Map();   // uploadId → record, when there is no queue or it failed
+    this._flushing = null;
+    this._again = false;
+    this._retryFailed = false;
+
+    // Called with { uploadId, filename, participantId, state, message, progress, persistent }
+    // state: "queued", "offline", "uploading", "retrying", "done" or "failed"
+    this.onStatus = null;
+  }
+
+  /**
+   * Upload whatever is still queued, now and whenever the browser
+   * comes back online.
+   * @returns {Promise<void>} once the current queue has been tried
+   */
+  start() {
+    window.addEventListener('online', () => this.flush());
+    return this.flush();
+  }
+
+  /**
+   * Queue a bundle and start uploading it.
+   * @param {{blob: Blob, filename: string}} bundle - from Exporter.buildBundle()
+   * @param {Object} settings - Experiment.upload
+   * @param {Object} meta - { participantId, sessionId }
+   * @returns {Promise<void>} once the queue has been tried
+   */
+  async enqueue(bundle, settings, meta) {
+    const sha256 = await sha256Hex(bundle.blob);
+    const record = {
+      uploadId: makeUploadId(meta.sessionId, sha256),
+      filename: bundle.filename,
+      blob: bundle.blob,
+      sha256,
+      settings,
+      participantId: meta.participantId,
+      sessionId: meta.sessionId,
+      createdAt: Date.now(),
+      state: 'queued',
+      error: null
+    };
+    await this._save(record);
+    this._report(record, 'queued');
+    return this.flush();
+  }
+
+  /**
+   * Try every queued upload, one at a time.
+   * @param {Object} [options]
+   * @param {boolean} [options.retryFailed] - also retry uploads that
+   *   were refused (e.g. after fixing the token on the server)
+   * @returns {Promise<void>}
+   */
+  flush({ retryFailed = false } = {}) {
+    if (retryFailed) this._retryFailed = true;
+    if (this._flushing) {
+      // Something was queued mid-run: go round once more
+      this._again = true;
+      return this._flushing;
+    }
+    this._flushing = (async () => {
+      do {
+        this._again = false;
+        const retryFailedNow = this._retryFailed;
+        this._retryFailed = false;
+        await this._flushOnce(retryFailedNow);
+      } while (this._again);
+    })().finally(() => {
+      this._flushing = null;
+    });
+    return this._flushing;
+  }
+
+  /* ----------------------------------------------------------
+     INTERNAL
+     ---------------------------------------------------------- */
+
+  async _flushOnce(retryFailed) {
+    for (const record of await this._list()) {
+      if (record.state === 'failed' && !retryFailed) continue;
+      if (!navigator.onLine) {
+        this._report(record, 'offline');
+        continue;
+      }
+
+      try {
+        const result = await this._upload(record);
+        await this._remove(record.uploadId);
+        this._report(record, 'done', `stored as ${result.stored}`);
+      } catch (err) {
+        record.state = err.retryable === false ? 'failed' : 'queued';
+        record.error = err.message;
+        await this._save(record);
+        this._report(record, record.state, err.message);
+      }
+    }
+  }
+
+  /**
+   * Start (or resume) the upload, send the missing chunks, complete it.
+   * @returns {Promise<Object>} the server's completion record
+   */
+  async _upload(record) {
+    const { endpoint, chunkSize } = record.settings;
+    const base = endpoint.replace(/\/+$/, '') + '/uploads';
+    const size = record.blob.size;
+    const chunkCount = Math.ceil(size / chunkSize);
+
+    const started = await this._request(record, 'POST', base, JSON.stringify({
+      uploadId: record.uploadId,
+      filename: record.filename,
+      size,
+      sha256: record.sha256,
+      chunkSize,
+      chunkCount,
+      participantId: record.participantId,
+      sessionId: record.sessionId
+    }), 'application/json');
+    if (started.complete) return started;
+
+    const received = new Set(started.received || []);
+    for (let i = 0; i < chunkCount; i++) {
+      if (received.has(i)) continue;
+      this._report(record, 'uploading', null, i / chunkCount);
+      const chunk = record.blob.slice(i * chunkSize, Math.min(size, (i + 1) * chunkSize));
+      await this._request(record, 'PUT', `${base}/${record.uploadId}/chunks/${i}`,
+        chunk, 'application/octet-stream');
+    }
+    this._report(record, 'uploading', null, 1);
+    return this._request(record, 'POST', `${base}/${record.uploadId}/complete`, null, null);
+  }
+
+  /**
+   * One request, retried with exponential backoff.
+   * @returns {Promise<Object>} the JSON response
+   */
+  async _request(record, method, url, body, contentType) {
+    const { token, maxRetries, retryDelay } = record.settings;
+    const headers = {};
+    if (contentType) headers['Content-Type'] = contentType;
+    if (token) headers.Authorization = `Bearer ${token}`;
+
+    for (let attempt = 0; ; attempt++) {
+      let error;
+      try {
+        const response = await fetch(url, { method, headers, body });
+        const payload = await response.json().catch(() => ({}));
+        if (response.ok) return payload;
+        const status = response.status;
+        error = new UploadError(payload.error || `HTTP ${status}`, {
+          status,
+          retryable: status >= 500 || status === 408 || status === 429
+        });
+      } catch (err) {
+        error = new UploadError(`Network error: ${err.message}`);
+      }
+
+      if (!error.retryable || attempt >= maxRetries) throw error;
+      const delay = Math.min(retryDelay * 1000 * 2 ** attempt, MAX_DELAY_MS);
+      this._report(record, 'retrying', `${error.message} — retrying in ${Math.ceil(delay / 1000)} s`);
+      await new Promise(r => setTimeout(r, delay));
+    }
+  }
+
+  _report(record, state, message = null, progress = null) {
+    if (!this.onStatus) return;
+    this.onStatus({
+      uploadId: record.uploadId,
+      filename: record.filename,
+      participantId: record.participantId,
+      state,
+      message,
+      progress,
+      persistent: !!this.queue && !this._memory.has(record.uploadId)
+    });
+  }
+
+  async _list() {
+    const inMemory = [...this._memory.values()];
+    if (!this.queue) return inMemory;
+    try {
+      const queued = await this.queue.listUploads();
+      return [...queued, ...inMemory].sort((a, b) => a.createdAt - b.createdAt);
+    } catch (err) {
+      console.warn('[Uploader] Could not read the upload queue:', err);
+      return inMemory;
+    }
+  }
+
+  async _save(record) {
+    if (!this.queue || this._memory.has(record.uploadId)) {
+      this._memory.set(record.uploadId, record);
+      return;
+    }
+    try {
+      await this.queue.queueUpload(record);
+    } catch (err) {
+      // Still upload it while the page is open
+      console.warn('[Uploader] Could not store the bundle in IndexedDB; keeping it in memory:', err);
+      this._memory.set(record.uploadId, record);
+    }
+  }
+
+  _remove(uploadId) {
+    if (!this.queue || this._memory.has(uploadId)) {
+      this._memory.delete(uploadId);
+      return Promise.resolve();
+    }
+    return this.queue.removeUpload(uploadId);
+  }
+}
+
+/**
+ * Hex SHA-256 of a Blob, read HASH_SLICE_BYTES at a time (Web
+ * Crypto can only digest a whole buffer).
+ */
+async function sha256Hex(blob) {
+  const hash = new Sha256();
+  for (let offset = 0; offset < blob.size; offset += HASH_SLICE_BYTES) {
+    hash.update(new Uint8Array(await blob.slice(offset, offset + HASH_SLICE_BYTES).arrayBuffer()));
+  }
+  return hash.hex();
+}
+
+/**
+ * Stable for the same bundle, so a retried upload resumes on the server.
+ */
+function makeUploadId(sessionId, sha256) {
+  const session = String(sessionId || 'session').replace(/[^A-Za-z0-9-]/g, '-');
+  return `${session}_${sha256.slice(0, 16)}`;
+}
+
+/* ----------------------------------------------------------
+   SHA-256 (FIPS 180-4), fed in pieces
+   ---------------------------------------------------------- */
+
+const SHA256_K = new Uint32Array([
+  0x428a2f98, 0x71374491, 0xb5c0fbcf, 0xe9b5dba5, 0x3956c25b, 0x59f111f1, 0x923f82a4, 0xab1c5ed5,
+  0xd807aa98, 0x12835b01, 0x243185be, 0x550c7dc3, 0x72be5d74, 0x80deb1fe, 0x9bdc06a7, 0xc19bf174,
+  0xe49b69c1, 0xefbe4786, 0x0fc19dc6, 0x240ca1cc, 0x2de92c6f, 0x4a7484aa, 0x5cb0a9dc, 0x76f988da,
+  0x983e5152, 0xa831c66d, 0xb00327c8, 0xbf597fc7, 0xc6e00bf3, 0xd5a79147, 0x06ca6351, 0x14292967,
+  0x27b70a85, 0x2e1b2138, 0x4d2c6dfc, 0x53380d13, 0x650a7354, 0x766a0abb, 0x81c2c92e, 0x92722c85,
+  0xa2bfe8a1, 0xa81a664b, 0xc24b8b70, 0xc76c51a3, 0xd192e819, 0xd6990624, 0xf40e3585, 0x106aa070,
+  0x19a4c116, 0x1e376c08, 0x2748774c, 0x34b0bcb5, 0x391c0cb3, 0x4ed8aa4a, 0x5b9cca4f, 0x682e6ff3,
+  0x748f82ee, 0x78a5636f, 0x84c87814, 0x8cc70208, 0x90befffa, 0xa4506ceb, 0xbef9a3f7, 0xc67178f2
+]);
+
+const rotr = (x, n) => (x >>> n) | (x << (32 - n));
+
+class Sha256 {
+  constructor() {
+    this._h = new Uint32Array([
+      0x6a09e667, 0xbb67ae85, 0x3c6ef372, 0xa54ff53a, 0x510e527f, 0x9b05688c, 0x1f83d9ab, 0x5be0cd19
+    ]);
+    this._w = new Uint32Array(64);
+    this._block = new Uint8Array(64);   // bytes waiting for a full block
+    this._pending = 0;
+    this._length = 0;
+  }
+
+  update(bytes) {
+    this._length += bytes.length;
+    let i = 0;
+    if (this._pending > 0) {
+      i = Math.min(64 - this._pending, bytes.length);
+      this._block.set(bytes.subarray(0, i), this._pending);
+      this._pending += i;
+      if (this._pending < 64) return;
+      this._compress(this._block, 0);
+      this._pending = 0;
+    }
+    for (; i + 64 <= bytes.length; i += 64) this._compress(bytes, i);
+    this._block.set(bytes.subarray(i), 0);
+    this._pending = bytes.length - i;
+  }
+
+  hex() {
+    // 0x80, zeros up to 56 mod 64, then the length in bits (uint64, big-endian)
+    const bits = this._length * 8;
+    const padding = new Uint8Array((this._pending < 56 ? 64 : 128) - this._pending);
+    const view = new DataView(padding.buffer);
+    padding[0] = 0x80;
+    view.setUint32(padding.length - 8, Math.floor(bits / 0x100000000));
+    view.setUint32(padding.length - 4, bits >>> 0);
+    this.update(padding);
+    return [...this._h].map(v => v.toString(16).padStart(8, '0')).join('');
+  }
+
+  _compress(bytes, offset) {
+    const w = this._w;
+    for (let t = 0; t < 16; t++) {
+      const j = offset + t * 4;
+      w[t] = (bytes[j] << 24) | (bytes[j + 1] << 16) | (bytes[j + 2] << 8) | bytes[j + 3];
+    }
+    for (let t = 16; t < 64; t++) {
+      const s0 = rotr(w[t - 15], 7) ^ rotr(w[t - 15], 18) ^ (w[t - 15] >>> 3);
+      const s1 = rotr(w[t - 2], 17) ^ rotr(w[t - 2], 19) ^ (w[t - 2] >>> 10);
+      w[t] = w[t - 16] + s0 + w[t - 7] + s1;
+    }
+
+    const state = this._h;
+    let [a, b, c, d, e, f, g, h] = state;
+    for (let t = 0; t < 64; t++) {
+      const t1 = (h + (rotr(e, 6) ^ rotr(e, 11) ^ rotr(e, 25)) + ((e & f) ^ (~e & g)) + SHA256_K[t] + w[t]) | 0;
+      const t2 = ((rotr(a, 2) ^ rotr(a, 13) ^ rotr(a, 22)) + ((a & b) ^ (a & c) ^ (b & c))) | 0;
+      h = g;
+      g = f;
+      f = e;
+      e = (d + t1) | 0;
+      d = c;
+      c = b;
+      b = a;
+      a = (t1 + t2) | 0;
+    }
+    state[0] += a;
+    state[1] += b;
+    state[2] += c;
+    state[3] += d;
+    state[4] += e;
+    state[5] += f;
+    state[6] += g;
+    state[7] += h;
+  }
+}
@@ -0,0 +1,247 @@
+/* ============================================================
+   zipwriter.js — Streaming ZIP Writer
+   ============================================================
+   Writes a ZIP one piece at a time, so a file can be added from
+   chunks (e.g. data.json trial by trial) without ever holding it
+   whole. Only the compressed output is kept, as a Blob.
+
+   - Deflate through the browser's CompressionStream
+     ("deflate-raw"; Safari 16.4+). Where that's missing, or for
+     data that's already compressed (PNG), entries are stored.
+   - Sizes and CRC-32 go in a data descriptor after each entry
+     (general purpose flag bit 3), since they're only known at the
+     end. Names are UTF-8 (bit 11).
+   - No ZIP64: a bundle must stay under 4 GB.
+
+   Usage:
+     const zip = new ZipWriter();
+     await zip.addFile('P001/data.json', chunks);   // async iterable
+     await zip.addFile('P001/trial1.png', bytes, { compress: false });
+     const blob = await zip.finish();
+   ============================================================ */
+
+const LOCAL_HEADER = 0x04034b50;
+const DATA_DESCRIPTOR = 0x08074b50;
+const CENTRAL_HEADER = 0x02014b50;
+const END_OF_DIRECTORY = 0x06054b50;
+
+const FLAG_DATA_DESCRIPTOR = 0x0008;
+const FLAG_UTF8 = 0x0800;
+const METHOD_STORE = 0;
+const METHOD_DEFLATE = 8;
+const VERSION = 20;                 // 2.0: deflate, data descriptor
+const MAX_SIZE = 0xffffffff;
+
+export class ZipWriter {
+  constructor() {
+    this._parts = [];               // output so far: Blobs and Uint8Arrays
+    this._offset = 0;
+    this._entries = [];
+    this._finished = false;
+  }
+
+  /**
+   * Whether entries can be deflated here.
+   */
+  static get canCompress() {
+    if (typeof CompressionStream === 'undefined') return false;
+    try {
+      new CompressionStream('deflate-raw');
+      return true;
+    } catch (err) {
+      return false;
+    }
+  }
+
+  /**
+   * Add a file. Strings are written as UTF-8.
+   * @param {string} name - path inside the ZIP
+   * @param {string|Uint8Array|AsyncIterable<string|Uint8Array>|Iterable<string|Uint8Array>} data
+   * @param {Object} [options]
+   * @param {boolean} [options.compress=true] - deflate (if available)
+   */
+  async addFile(name, data, { compress = true } = {}) {
+    if (this._finished) throw new Error('The ZIP is already finished.');
+    const nameBytes = encoder.encode(name);
+    const method = compress && ZipWriter.canCompress ? METHOD_DEFLATE : METHOD_STORE;
+    const { time, date } = dosDateTime(new Date());
+    const entry = { nameBytes, method, time, date, offset: this._offset, crc: 0, size: 0, compressedSize: 0 };
+
+    const header = new DataView(new ArrayBuffer(30));
+    header.setUint32(0, LOCAL_HEADER, true);
+    header.setUint16(4, VERSION, true);
+    header.setUint16(6, FLAG_DATA_DESCRIPTOR | FLAG_UTF8, true);
+    header.setUint16(8, method, true);
+    header.setUint16(10, time, true);
+    header.setUint16(12, date, true);
+    // CRC and sizes (14–25) follow in the data descriptor
+    header.setUint16(26, nameBytes.length, true);
+    this._push(new Uint8Array(header.buffer));
+    this._push(nameBytes);
+
+    const crc = new Crc32();
+    const raw = chunksOf(data, (bytes) => {
+      crc.update(bytes);
+      entry.size += bytes.length;
+    });
+    if (method === METHOD_DEFLATE) {
+      await this._deflate(raw, entry);
+    } else {
+      for await (const bytes of raw) {
+        this._push(bytes);
+        entry.compressedSize += bytes.length;
+      }
+    }
+    entry.crc = crc.value;
+    if (entry.size > MAX_SIZE || entry.compressedSize > MAX_SIZE) {
+      throw new Error(`${name} is too large for a ZIP without ZIP64.`);
+    }
+
+    const descriptor = new DataView(new ArrayBuffer(16));
+    descriptor.setUint32(0, DATA_DESCRIPTOR, true);
+    descriptor.setUint32(4, entry.crc, true);
+    descriptor.setUint32(8, entry.compressedSize, true);
+    descriptor.setUint32(12, entry.size, true);
+    this._push(new Uint8Array(descriptor.buffer));
+
+    this._entries.push(entry);
+    // Let go of the small chunks; the Blob keeps the bytes compactly
+    this._parts = [new Blob(this._parts)];
+  }
+
+  /**
+   * Write the central directory.
+   * @param {string} [type='application/zip']
+   * @returns {Promise<Blob>} the whole ZIP
+   */
+  async finish(type = 'application/zip') {
+    if (this._finished) throw new Error('The ZIP is already finished.');
+    this._finished = true;
+    const directoryOffset = this._offset;
+
+    for (const entry of this._entries) {
+      const header = new DataView(new ArrayBuffer(46));
+      header.setUint32(0, CENTRAL_HEADER, true);
+      header.setUint16(4, VERSION, true);           // made by
+      header.setUint16(6, VERSION, true);           // needed to extract
+      header.setUint16(8, FLAG_DATA_DESCRIPTOR | FLAG_UTF8, true);
+      header.setUint16(10, entry.method, true);
+      header.setUint16(12, entry.time, true);
+      header.setUint16(14, entry.date, true);
+      header.setUint32(16, entry.crc, true);
+      header.setUint32(20, entry.compressedSize, true);
+      header.setUint32(24, entry.size, true);
+      header.setUint16(28, entry.nameBytes.length, true);
+      // extra, comment, disk, attributes: 0
+      header.setUint32(42, entry.offset, true);
+      this._push(new Uint8Array(header.buffer));
+      this._push(entry.nameBytes);
+    }
+
+    if (this._entries.length > 0xffff || this._offset > MAX_SIZE) {
+      throw new Error('The bundle is too large for a ZIP without ZIP64.');
+    }
+    const end = new DataView(new ArrayBuffer(22));
+    end.setUint32(0, END_OF_DIRECTORY, true);
+    end.setUint16(8, this._entries.length, true);
+    end.setUint16(10, this._entries.length, true);
+    end.setUint32(12, this._offset - directoryOffset, true);
+    end.setUint32(16, directoryOffset, true);
+    this._push(new Uint8Array(end.buffer));
+
+    const blob = new Blob(this._parts, { type });
+    this._parts = [];
+    return blob;
+  }
+
+  /* ----------------------------------------------------------
+     INTERNAL
+     ---------------------------------------------------------- */
+
+  _push(bytes) {
+    this._parts.push(bytes);
+    this._offset += bytes.length;
+  }
+
+  /**
+   * Feed the chunks through a CompressionStream while collecting
+   * its output.
+   */
+  async _deflate(raw, entry) {
+    const stream = new CompressionStream('deflate-raw');
+    const collecting = (async () => {
+      const reader = stream.readable.getReader();
+      for (;;) {
+        const { value, done } = await reader.read();
+        if (done) return;
+        this._push(value);
+        entry.compressedSize += value.length;
+      }
+    })();
+
+    const writer = stream.writable.getWriter();
+    try {
+      for await (const bytes of raw) await writer.write(bytes);
+      await writer.close();
+    } catch (err) {
+      // Aborting makes `collecting` reject too; err is the one to report
+      collecting.catch(() => {});
+      writer.abort(err).catch(() => {});
+      throw err;
+    }
+    await collecting;
+  }
+}
+
+/* ----------------------------------------------------------
+   HELPERS
+   ---------------------------------------------------------- */
+
+const encoder = new TextEncoder();
+
+/**
+ * Normalize file data to an async stream of Uint8Arrays, calling
+ * onChunk with each one.
+ */
+async function* chunksOf(data, onChunk) {
+  const source = typeof data === 'string' || data instanceof Uint8Array ? [data] : data;
+  for await (const chunk of source) {
+    const bytes = typeof chunk === 'string' ? encoder.encode(chunk) : chunk;
+    if (bytes.length === 0) continue;
+    onChunk(bytes);
+    yield bytes;
+  }
+}
+
+function dosDateTime(d) {
+  return {
+    time: (d.getHours() << 11) | (d.getMinutes() << 5) | (d.getSeconds() >> 1),
+    date: ((Math.max(1980, d.getFullYear()) - 1980) << 9) | ((d.getMonth() + 1) << 5) | d.getDate()
+  };
+}
+
+let crcTable = null;
+
+class Crc32 {
+  constructor() {
+    if (!crcTable) {
+      crcTable = new Uint32Array(256);
+      for (let n = 0; n < 256; n++) {
+        let c = n;
+        for (let k = 0; k < 8; k++) c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+        crcTable[n] = c >>> 0;
+      }
+    }
+    this._crc = 0xffffffff;
+  }
+
+  update(bytes) {
+    let c = this._crc;
+    for (let i = 0; i < bytes.length; i++) c = crcTable[(c ^ bytes[i]) & 0xff] ^ (c >>> 8);
+    this._crc = c;
+  }
+
+  get value() {
+    return (this._crc ^ 0xffffffff) >>> 0;
+  }
+}
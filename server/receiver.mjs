@@ -0,0 +1,432 @@
+/* ============================================================
+   receiver.mjs — Reference Upload Receiver (Node, no dependencies)
+   ============================================================
+   Accepts the session bundles sent by js/uploader.js, checks
+   them, and stores them on disk:
+
+     UPLOAD_DIR/
+       P001/
+         P001_2024-05-01.zip              — the bundle, as exported
+         P001_2024-05-01.zip.upload.json  — who/when/size/sha256/entries
+
+   PROTOCOL (all paths may sit under any prefix, e.g. /drawing):
+     POST /uploads                      { uploadId, filename, size,
+                                          sha256, chunkSize, chunkCount,
+                                          participantId, sessionId }
+          → { received: [chunk indices already here], complete }
+     PUT  /uploads/:uploadId/chunks/:i  raw bytes of chunk i
+     POST /uploads/:uploadId/complete   → { stored, sha256, entries }
+
+   Starting the same uploadId again resumes it (only missing chunks
+   are sent); completing it again is a no-op. On completion the
+   chunks are joined, the size and SHA-256 checked, and the ZIP
+   opened: it must hold a data.json for the announced session.
+   Encrypted bundles (.zip.enc, see js/bundlecrypto.js) can't be
+   opened here; only their header is checked.
+
+   RUN:
+     node server/receiver.mjs
+   Environment:
+     PORT           (8787)
+     UPLOAD_DIR     (./uploads)
+     UPLOAD_TOKEN   required as "Authorization: Bearer …" if set
+     ALLOW_ORIGIN   CORS origin of the study page ("*")
+     MAX_BUNDLE_MB  (500)
+
+   This is a reference implementation for a lab server or local
+   testing — put it behind HTTPS (e.g. a reverse proxy) in use.
+   ============================================================ */
+
+import http from 'node:http';
+import fs from 'node:fs/promises';
+import path from 'node:path';
+import crypto from 'node:crypto';
+import zlib from 'node:zlib';
+import { fileURLToPath } from 'node:url';
+import { readBundleHeader } from '../js/bundlecrypto.js';
+
+const DEFAULTS = {
+  dir: './uploads',
+  token: null,
+  allowOrigin: '*',
+  maxBundleBytes: 500 * 1024 * 1024,
+  maxChunkBytes: 16 * 1024 * 1024
+};
+
+const ID_PATTERN = /^[A-Za-z0-9_-]{1,128}$/;
+const FILENAME_PATTERN = /^[A-Za-z0-9_.-]{1,200}\.zip(\.enc)?$/;
+
+class HttpError extends Error {
+  constructor(status, message) {
+    super(message);
+    this.status = status;
+  }
+}
+
+/**
+ * @param {Object} [options] - { dir, token, allowOrigin, maxBundleBytes, maxChunkBytes }
+ * @returns {http.Server} not yet listening
+ */
+export function createReceiver(options = {}) {
+  const opts = { ...DEFAULTS, ...options };
+  const store = new BundleStore(opts);
+
+  return http.createServer(async (req, res) => {
+    res.setHeader('Access-Control-Allow-Origin', opts.allowOrigin);
+    res.setHeader('Access-Control-Allow-Methods', 'POST, PUT, OPTIONS');
+    res.setHeader('Access-Control-Allow-Headers', 'Content-Type, Authorization');
+    if (req.method === 'OPTIONS') {
+      res.writeHead(204).end();
+      return;
+    }
+
+    try {
+      if (opts.token && req.headers.authorization !== `Bearer ${opts.token}`) {
+        throw new HttpError(401, 'Missing or wrong upload token.');
+      }
+      const result = await route(store, req, opts);
+      sendJSON(res, 200, result);
+    } catch (err) {
+      if (!(err instanceof HttpError)) console.error('[receiver]', err);
+      sendJSON(res, err.status || 500, { error: err.message });
+    }
+  });
+}
+
+async function route(store, req, opts) {
+  const { pathname } = new URL(req.url, 'http://localhost');
+  let match;
+
+  if (req.method === 'POST' && /\/uploads\/?$/.test(pathname)) {
+    return store.start(JSON.parse((await readBody(req, 64 * 1024)).toString('utf8') || '{}'));
+  }
+  if (req.method === 'PUT' && (match = pathname.match(/\/uploads\/([^/]+)\/chunks\/(\d+)$/))) {
+    return store.putChunk(match[1], Number(match[2]), await readBody(req, opts.maxChunkBytes));
+  }
+  if (req.method === 'POST' && (match = pathname.match(/\/uploads\/([^/]+)\/complete$/))) {
+    return store.complete(match[1]);
+  }
+  throw new HttpError(404, `No route for ${req.method} ${pathname}.`);
+}
+
+/* ----------------------------------------------------------
+   STORAGE
+   Partial uploads live in UPLOAD_DIR/.partial/<uploadId>/,
+   finished ones are remembered in UPLOAD_DIR/.completed/.
+   ---------------------------------------------------------- */
+
+class BundleStore {
+  constructor(opts) {
+    this.opts = opts;
+    this.dir = path.resolve(opts.dir);
+  }
+
+  async start(meta) {
+    const upload = this._validateMeta(meta);
+    const done = await readJSON(this._completedPath(upload.uploadId));
+    if (done) return { uploadId: upload.uploadId, received: [], complete: true, stored: done.stored };
+
+    const partial = this._partialDir(upload.uploadId);
+    const existing = await readJSON(path.join(partial, 'meta.json'));
+    if (existing && (existing.size !== upload.size || existing.sha256 !== upload.sha256 ||
+                     existing.chunkSize !== upload.chunkSize)) {
+      throw new HttpError(409, `Upload ${upload.uploadId} was started with a different bundle.`);
+    }
+    if (!existing) {
+      await fs.mkdir(partial, { recursive: true });
+      await writeAtomic(path.join(partial, 'meta.json'), JSON.stringify(upload, null, 2));
+    }
+    return { uploadId: upload.uploadId, received: await this._receivedChunks(upload), complete: false };
+  }
+
+  async putChunk(uploadId, index, data) {
+    const upload = await this._loadPartial(uploadId);
+    if (!(index < upload.chunkCount)) {
+      throw new HttpError(400, `Chunk ${index} is out of range (0–${upload.chunkCount - 1}).`);
+    }
+    if (data.length !== chunkLength(upload, index)) {
+      throw new HttpError(400, `Chunk ${index} should be ${chunkLength(upload, index)} bytes, got ${data.length}.`);
+    }
+    await writeAtomic(path.join(this._partialDir(uploadId), `${index}.part`), data);
+    return { uploadId, index };
+  }
+
+  async complete(uploadId) {
+    if (!ID_PATTERN.test(uploadId)) throw new HttpError(400, 'Invalid uploadId.');
+    const done = await readJSON(this._completedPath(uploadId));
+    if (done) return done;
+
+    const upload = await this._loadPartial(uploadId);
+    const received = await this._receivedChunks(upload);
+    if (received.length !== upload.chunkCount) {
+      throw new HttpError(409, `Only ${received.length} of ${upload.chunkCount} chunks received.`);
+    }
+
+    // Join the chunks, hashing as we go
+    const partial = this._partialDir(uploadId);
+    const joined = path.join(partial, 'bundle.zip');
+    const hash = crypto.createHash('sha256');
+    const out = await fs.open(joined, 'w');
+    try {
+      for (let i = 0; i < upload.chunkCount; i++) {
+        const chunk = await fs.readFile(path.join(partial, `${i}.part`));
+        hash.update(chunk);
+        await out.write(chunk);
+      }
+    } finally {
+      await out.close();
+    }
+    const sha256 = hash.digest('hex');
+    if (upload.sha256 && sha256 !== upload.sha256) {
+      // Start over: a new attempt re-sends every chunk
+      await fs.rm(partial, { recursive: true, force: true });
+      throw new HttpError(422, 'Checksum mismatch: the bundle was corrupted in transit.');
+    }
+
+    const bytes = await fs.readFile(joined);
+    const encrypted = upload.filename.endsWith('.enc');
+    const checked = encrypted ? checkEncryptedBundle(bytes) : { entries: checkBundle(bytes, upload) };
+
+    // Store it under the participant, never overwriting another bundle
+    const participantDir = path.join(this.dir, safeName(upload.participantId || 'unknown'));
+    await fs.mkdir(participantDir, { recursive: true });
+    const [, base, extension] = upload.filename.match(/^(.*?)(\.zip(?:\.enc)?)$/);
+    let target = path.join(participantDir, upload.filename);
+    if (await exists(target)) target = path.join(participantDir, `${base}_${uploadId}${extension}`);
+    await fs.rename(joined, target);
+
+    const record = {
+      uploadId,
+      stored: path.relative(this.dir, target),
+      sha256,
+      size: upload.size,
+      encrypted,
+      ...checked,
+      participantId: upload.participantId,
+      sessionId: upload.sessionId,
+      receivedAt: new Date().toISOString()
+    };
+    // Named after the full file, so P001_x.zip and P001_x.zip.enc keep separate receipts
+    await writeAtomic(`${target}.upload.json`, JSON.stringify(record, null, 2));
+    await fs.mkdir(path.dirname(this._completedPath(uploadId)), { recursive: true });
+    await writeAtomic(this._completedPath(uploadId), JSON.stringify(record));
+    await fs.rm(partial, { recursive: true, force: true });
+    console.log(`[receiver] stored ${record.stored} (${upload.size} bytes)`);
+    return record;
+  }
+
+  _validateMeta(meta) {
+    const { uploadId, filename, participantId, sessionId } = meta;
+    const size = Number(meta.size);
+    const chunkSize = Number(meta.chunkSize);
+    if (!ID_PATTERN.test(uploadId || '')) throw new HttpError(400, 'Invalid uploadId.');
+    if (!FILENAME_PATTERN.test(filename || '')) throw new HttpError(400, 'Invalid filename.');
+    if (!(Number.isInteger(size) && size > 0)) throw new HttpError(400, 'Invalid size.');
+    if (size > this.opts.maxBundleBytes) throw new HttpError(413, `Bundle is larger than ${this.opts.maxBundleBytes} bytes.`);
+    if (!(Number.isInteger(chunkSize) && chunkSize > 0)) throw new HttpError(400, 'Invalid chunkSize.');
+    if (chunkSize > this.opts.maxChunkBytes) throw new HttpError(413, `chunkSize is larger than ${this.opts.maxChunkBytes} bytes.`);
+    if (meta.sha256 != null && !/^[0-9a-f]{64}$/.test(meta.sha256)) throw new HttpError(400, 'Invalid sha256.');
+
+    const chunkCount = Math.ceil(size / chunkSize);
+    if (meta.chunkCount != null && Number(meta.chunkCount) !== chunkCount) {
+      throw new HttpError(400, `chunkCount should be ${chunkCount}.`);
+    }
+    return {
+      uploadId, filename, size, chunkSize, chunkCount,
+      sha256: meta.sha256 || null,
+      participantId: participantId != null ? String(participantId) : null,
+      sessionId: sessionId != null ? String(sessionId) : null,
+      startedAt: new Date().toISOString()
+    };
+  }
+
+  async _loadPartial(uploadId) {
+    if (!ID_PATTERN.test(uploadId)) throw new HttpError(400, 'Invalid uploadId.');
+    const upload = await readJSON(path.join(this._partialDir(uploadId), 'meta.json'));
+    if (!upload) throw new HttpError(404, `Unknown upload ${uploadId}; start it first.`);
+    return upload;
+  }
+
+  async _receivedChunks(upload) {
+    const received = [];
+    for (let i = 0; i < upload.chunkCount; i++) {
+      const stat = await fs.stat(path.join(this._partialDir(upload.uploadId), `${i}.part`)).catch(() => null);
+      if (stat && stat.size === chunkLength(upload, i)) received.push(i);
+    }
+    return received;
+  }
+
+  _partialDir(uploadId) {
+    return path.join(this.dir, '.partial', uploadId);
+  }
+
+  _completedPath(uploadId) {
+    return path.join(this.dir, '.completed', `${uploadId}.json`);
+  }
+}
+
+/* ----------------------------------------------------------
+   BUNDLE CHECK
+   Just enough ZIP reading (central directory, stored or
+   deflated entries) to find and parse data.json.
+   ---------------------------------------------------------- */
+
+/**
+ * @param {Buffer} zip
+ * @param {Object} upload - the announced metadata
+ * @returns {string[]} entry names
+ */
+function checkBundle(zip, upload) {
+  const entries = readZipDirectory(zip);
+  const dataEntry = entries.find(e => e.name === 'data.json' || e.name.endsWith('/data.json'));
+  if (!dataEntry) throw new HttpError(422, 'The bundle has no data.json.');
+
+  let data;
+  try {
+    data = JSON.parse(readZipEntry(zip, dataEntry).toString('utf8'));
+  } catch (err) {
+    throw new HttpError(422, `data.json could not be read: ${err.message}`);
+  }
+  if (!data || !Array.isArray(data.trials)) {
+    throw new HttpError(422, 'data.json is not a session export (no trials).');
+  }
+  if (upload.sessionId && data.sessionId !== upload.sessionId) {
+    throw new HttpError(422, `data.json is for session ${data.sessionId}, not ${upload.sessionId}.`);
+  }
+  if (upload.participantId && data.participantId !== upload.participantId) {
+    throw new HttpError(422, `data.json is for participant ${data.participantId}, not ${upload.participantId}.`);
+  }
+  return entries.map(e => e.name);
+}
+
+/**
+ * @param {Buffer} bytes - a .zip.enc
+ * @returns {{keyFingerprint: string}} which study key it needs
+ */
+function checkEncryptedBundle(bytes) {
+  try {
+    return { keyFingerprint: readBundleHeader(bytes).header.keyFingerprint };
+  } catch (err) {
+    throw new HttpError(422, `Not a valid encrypted bundle: ${err.message}`);
+  }
+}
+
+function readZipDirectory(zip) {
+  // End of central directory: signature 0x06054b50, within the last 64 KB
+  let eocd = -1;
+  for (let i = zip.length - 22; i >= Math.max(0, zip.length - 65557); i--) {
+    if (zip.readUInt32LE(i) === 0x06054b50) {
+      eocd = i;
+      break;
+    }
+  }
+  if (eocd < 0) throw new HttpError(422, 'The bundle is not a ZIP file.');
+
+  const count = zip.readUInt16LE(eocd + 10);
+  let offset = zip.readUInt32LE(eocd + 16);
+  const entries = [];
+  for (let i = 0; i < count; i++) {
+    if (offset + 46 > zip.length || zip.readUInt32LE(offset) !== 0x02014b50) {
+      throw new HttpError(422, 'The bundle\'s ZIP directory is damaged.');
+    }
+    const nameLength = zip.readUInt16LE(offset + 28);
+    const extraLength = zip.readUInt16LE(offset + 30);
+    const commentLength = zip.readUInt16LE(offset + 32);
+    entries.push({
+      name: zip.toString('utf8', offset + 46, offset + 46 + nameLength),
+      method: zip.readUInt16LE(offset + 10),
+      compressedSize: zip.readUInt32LE(offset + 20),
+      localOffset: zip.readUInt32LE(offset + 42)
+    });
+    offset += 46 + nameLength + extraLength + commentLength;
+  }
+  return entries;
+}
+
+function readZipEntry(zip, entry) {
+  const local = entry.localOffset;
+  if (zip.readUInt32LE(local) !== 0x04034b50) throw new Error('bad local header');
+  const start = local + 30 + zip.readUInt16LE(local + 26) + zip.readUInt16LE(local + 28);
+  const raw = zip.subarray(start, start + entry.compressedSize);
+  if (entry.method === 0) return raw;
+  if (entry.method === 8) return zlib.inflateRawSync(raw);
+  throw new Error(`unsupported compression method ${entry.method}`);
+}
+
+/* ----------------------------------------------------------
+   HELPERS
+   ---------------------------------------------------------- */
+
+function chunkLength(upload, index) {
+  return Math.min(upload.chunkSize, upload.size - index * upload.chunkSize);
+}
+
+function readBody(req, limit) {
+  return new Promise((resolve, reject) => {
+    const chunks = [];
+    let length = 0;
+    req.on('data', (chunk) => {
+      length += chunk.length;
+      if (length > limit) {
+        reject(new HttpError(413, `Request body is larger than ${limit} bytes.`));
+        req.destroy();
+        return;
+      }
+      chunks.push(chunk);
+    });
+    req.on('end', () => resolve(Buffer.concat(chunks)));
+    req.on('error', reject);
+  });
+}
+
+function sendJSON(res, status, body) {
+  res.writeHead(status, { 'Content-Type': 'application/json' });
+  res.end(JSON.stringify(body));
+}
+
+async function readJSON(file) {
+  try {
+    return JSON.parse(await fs.readFile(file, 'utf8'));
+  } catch (err) {
+    if (err.code === 'ENOENT') return null;
+    throw err;
+  }
+}
+
+/**
+ * Write to a temporary file first, so a crash never leaves half a file.
+ */
+async function writeAtomic(file, data) {
+  const temp = `${file}.${process.pid}.tmp`;
+  await fs.writeFile(temp, data);
+  await fs.rename(temp, file);
+}
+
+const exists = (file) => fs.access(file).then(() => true, () => false);
+
+/**
+ * Participant IDs become directory names: keep them harmless.
+ */
+function safeName(name) {
+  return String(name).replace(/[^A-Za-z0-9_-]/g, '_').slice(0, 100) || 'unknown';
+}
+
+/* ----------------------------------------------------------
+   COMMAND LINE
+   ---------------------------------------------------------- */
+
+if (process.argv[1] && path.resolve(process.argv[1]) === fileURLToPath(import.meta.url)) {
+  const port = Number(process.env.PORT || 8787);
+  const server = createReceiver({
+    dir: process.env.UPLOAD_DIR || DEFAULTS.dir,
+    token: process.env.UPLOAD_TOKEN || null,
+    allowOrigin: process.env.ALLOW_ORIGIN || DEFAULTS.allowOrigin,
+    maxBundleBytes: process.env.MAX_BUNDLE_MB
+      ? Number(process.env.MAX_BUNDLE_MB) * 1024 * 1024
+      : DEFAULTS.maxBundleBytes
+  });
+  server.listen(port, () => {
+    console.log(`[receiver] listening on http://localhost:${port}/uploads, ` +
+      `storing in ${path.resolve(process.env.UPLOAD_DIR || DEFAULTS.dir)}`);
+  });
+}
@@ -0,0 +1,135 @@
+/* ============================================================
+   bundlecrypto.test.mjs — Encrypted Bundle Round Trips
+   ============================================================
+   Encrypts ZIP-sized inputs around the segment boundaries and
+   decrypts them again, and checks that damaged, cut-off,
+   reordered or wrongly keyed bundles are refused. Version 1
+   bundles (one AES-GCM output) must keep decrypting.
+
+   Run: npm test
+   ============================================================ */
+
+import { test, before } from 'node:test';
+import assert from 'node:assert/strict';
+import { webcrypto } from 'node:crypto';
+
+globalThis.crypto ??= webcrypto;   // Node 18
+
+const { encryptBundle, decryptBundle, readBundleHeader, keyFingerprint } = await import('../js/bundlecrypto.js');
+
+const MiB = 1024 * 1024;
+const RSA = { name: 'RSA-OAEP', modulusLength: 2048, publicExponent: new Uint8Array([1, 0, 1]), hash: 'SHA-256' };
+
+let keys;
+let settings;
+before(async () => {
+  keys = await crypto.subtle.generateKey(RSA, true, ['encrypt', 'decrypt']);
+  settings = { publicKey: await crypto.subtle.exportKey('jwk', keys.publicKey), keyId: 'test-key' };
+});
+
+/* ----------------------------------------------------------
+   HELPERS
+   ---------------------------------------------------------- */
+
+function sample(size) {
+  const bytes = new Uint8Array(size);
+  for (let i = 0; i < size; i++) bytes[i] = (i * 31 + (i >>> 8)) & 0xff;
+  return bytes;
+}
+
+async function encrypt(bytes) {
+  return new Uint8Array(await (await encryptBundle(new Blob([bytes]), settings, 'P001_2024-05-01.zip')).arrayBuffer());
+}
+
+/**
+ * Where the ciphertext starts, and how long a full encrypted segment is.
+ */
+function layout(bundle) {
+  const { header, ciphertext } = readBundleHeader(bundle);
+  return { start: bundle.length - ciphertext.length, segment: header.segmentSize + 16 };
+}
+
+const DAMAGED = /damaged or altered/;
+
+/* ----------------------------------------------------------
+   TESTS
+   ---------------------------------------------------------- */
+
+test('round-trips sizes around the segment boundaries', async () => {
+  for (const size of [0, 5, MiB, MiB + 1, 3 * MiB - 7]) {
+    const plain = sample(size);
+    const bundle = await encrypt(plain);
+    const { header, zip } = await decryptBundle(bundle, keys.privateKey);
+    assert.equal(header.version, 2);
+    assert.equal(header.segmentSize, MiB);
+    assert.equal(header.filename, 'P001_2024-05-01.zip');
+    assert.equal(header.keyId, 'test-key');
+    assert.equal(zip.length, size, `size ${size}`);
+    assert.ok(Buffer.from(zip).equals(Buffer.from(plain)), `contents of size ${size}`);
+  }
+});
+
+test('refuses a bundle cut off at a segment boundary', async () => {
+  const bundle = await encrypt(sample(2 * MiB + 100));
+  const { start, segment } = layout(bundle);
+  await assert.rejects(decryptBundle(bundle.subarray(0, start + 2 * segment), keys.privateKey), DAMAGED);
+  await assert.rejects(decryptBundle(bundle.subarray(0, start + segment), keys.privateKey), DAMAGED);
+  await assert.rejects(decryptBundle(bundle.subarray(0, bundle.length - 1), keys.privateKey), DAMAGED);
+});
+
+test('refuses reordered segments', async () => {
+  const bundle = await encrypt(sample(3 * MiB - 7));
+  const { start, segment } = layout(bundle);
+  const swapped = bundle.slice();
+  swapped.set(bundle.subarray(start + segment, start + 2 * segment), start);
+  swapped.set(bundle.subarray(start, start + segment), start + segment);
+  await assert.rejects(decryptBundle(swapped, keys.privateKey), DAMAGED);
+});
+
+test('refuses altered ciphertext or header', async () => {
+  const bundle = await encrypt(sample(MiB + 1));
+  const { start } = layout(bundle);
+
+  const body = bundle.slice();
+  body[start + 10] ^= 1;
+  await assert.rejects(decryptBundle(body, keys.privateKey), DAMAGED);
+
+  // Rename the bundle in its header (same length, still valid JSON)
+  const header = bundle.slice();
+  const at = Buffer.from(header).indexOf('P001_2024');
+  header[at + 3] = '2'.charCodeAt(0);
+  await assert.rejects(decryptBundle(header, keys.privateKey), DAMAGED);
+});
+
+test('refuses a private key the bundle was not encrypted for', async () => {
+  const other = await crypto.subtle.generateKey(RSA, true, ['encrypt', 'decrypt']);
+  const bundle = await encrypt(sample(5));
+  await assert.rejects(decryptBundle(bundle, other.privateKey), /private key doesn't match/);
+});
+
+test('still decrypts version 1 bundles', async () => {
+  // One AES-GCM output for the whole ZIP, with the header as additional data
+  const plain = sample(MiB + 3);
+  const aesKey = await crypto.subtle.generateKey({ name: 'AES-GCM', length: 256 }, true, ['encrypt']);
+  const rawKey = await crypto.subtle.exportKey('raw', aesKey);
+  const iv = crypto.getRandomValues(new Uint8Array(12));
+  const header = new TextEncoder().encode(JSON.stringify({
+    format: 'drawing-study-bundle',
+    version: 1,
+    alg: 'RSA-OAEP-256+A256GCM',
+    keyId: null,
+    keyFingerprint: await keyFingerprint(keys.publicKey),
+    wrappedKey: Buffer.from(await crypto.subtle.encrypt(RSA, keys.publicKey, rawKey)).toString('base64'),
+    iv: Buffer.from(iv).toString('base64'),
+    filename: 'old.zip',
+    createdAt: new Date().toISOString()
+  }));
+  const ciphertext = new Uint8Array(await crypto.subtle.encrypt(
+    { name: 'AES-GCM', iv, additionalData: header }, aesKey, plain));
+
+  const length = Buffer.alloc(4);
+  length.writeUInt32BE(header.length);
+  const bundle = Buffer.concat([Buffer.from('DSEB1\n'), length, header, ciphertext]);
+  const { zip } = await decryptBundle(bundle, keys.privateKey);
+  assert.ok(Buffer.from(zip).equals(Buffer.from(plain)));
+});
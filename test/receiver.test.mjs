@@ -0,0 +1,168 @@
+/* ============================================================
+   receiver.test.mjs — Uploader against the Reference Receiver
+   ============================================================
+   Runs js/uploader.js against server/receiver.mjs on a free port,
+   storing into a temporary directory: a plain upload, one that
+   is cut off and resumed, and one with the wrong token.
+
+   Run: npm test
+   ============================================================ */
+
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'node:fs/promises';
+import os from 'node:os';
+import path from 'node:path';
+import { createReceiver } from '../server/receiver.mjs';
+import { Uploader } from '../js/uploader.js';
+import { ZipWriter } from '../js/zipwriter.js';
+
+const CHUNK_SIZE = 1024;
+
+// The Uploader checks navigator.onLine before each upload
+Object.defineProperty(globalThis, 'navigator', { value: { onLine: true }, configurable: true });
+
+let dir;
+before(async () => {
+  dir = await fs.mkdtemp(path.join(os.tmpdir(), 'receiver-test-'));
+});
+after(async () => {
+  await fs.rm(dir, { recursive: true, force: true });
+});
+
+/* ----------------------------------------------------------
+   HELPERS
+   ---------------------------------------------------------- */
+
+/**
+ * Start a receiver on a free port; returns its endpoint and a close().
+ */
+async function startReceiver(options = {}) {
+  const server = createReceiver({ dir, ...options });
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  return {
+    endpoint: `http://127.0.0.1:${server.address().port}`,
+    close: () => new Promise(resolve => {
+      server.close(resolve);
+      server.closeIdleConnections();   // fetch keeps them open; Node 18 would wait them out
+    })
+  };
+}
+
+/**
+ * A bundle like Exporter.buildBundle() makes, several chunks long.
+ */
+async function makeBundle(participantId, sessionId) {
+  const prefix = `${participantId}_2024-05-01`;
+  const trials = Array.from({ length: 20 }, (_, i) => ({
+    trialNumber: i + 1,
+    strokes: [{ strokeId: 0, points: Array.from({ length: 10 }, (_, t) => ({ time: t * 4, x: i * t, y: t })) }]
+  }));
+  const zip = new ZipWriter();
+  await zip.addFile(`${prefix}/data.json`, JSON.stringify({ participantId, sessionId, trials }));
+  await zip.addFile(`${prefix}/trial1.png`, Uint8Array.from({ length: 3000 }, (_, i) => (i * 7919) % 251), { compress: false });
+  return { blob: await zip.finish(), filename: `${prefix}.zip` };
+}
+
+function makeUploader() {
+  const uploader = new Uploader(null);
+  const statuses = [];
+  uploader.onStatus = (status) => statuses.push(status);
+  return { uploader, statuses };
+}
+
+function settings(endpoint, overrides = {}) {
+  return { endpoint, token: null, chunkSize: CHUNK_SIZE, maxRetries: 0, retryDelay: 0.01, ...overrides };
+}
+
+/**
+ * Count the requests the Uploader makes; `fail(method, url)` returning
+ * true makes that request a network error.
+ */
+function watchFetch(fail = () => false) {
+  const original = globalThis.fetch;
+  const requests = [];
+  globalThis.fetch = (url, init) => {
+    requests.push({ method: init.method, url });
+    if (fail(init.method, url)) return Promise.reject(new TypeError('fetch failed'));
+    return original(url, init);
+  };
+  return { requests, restore: () => { globalThis.fetch = original; } };
+}
+
+/* ----------------------------------------------------------
+   TESTS
+   ---------------------------------------------------------- */
+
+test('uploads a bundle in chunks and stores it with a receipt', async () => {
+  const receiver = await startReceiver();
+  try {
+    const bundle = await makeBundle('P001', 'session-1');
+    const { uploader, statuses } = makeUploader();
+    await uploader.enqueue(bundle, settings(receiver.endpoint), { participantId: 'P001', sessionId: 'session-1' });
+
+    const last = statuses.at(-1);
+    assert.equal(last.state, 'done', last.message);
+    assert.ok(bundle.blob.size > 3 * CHUNK_SIZE);
+
+    const stored = await fs.readFile(path.join(dir, 'P001', bundle.filename));
+    assert.deepEqual(new Uint8Array(stored), new Uint8Array(await bundle.blob.arrayBuffer()));
+    const receipt = JSON.parse(await fs.readFile(path.join(dir, 'P001', `${bundle.filename}.upload.json`), 'utf8'));
+    assert.equal(receipt.sessionId, 'session-1');
+    assert.equal(receipt.size, bundle.blob.size);
+    assert.ok(receipt.entries.includes('P001_2024-05-01/data.json'));
+  } finally {
+    await receiver.close();
+  }
+});
+
+test('resumes a cut-off upload with only the missing chunks', async () => {
+  const receiver = await startReceiver();
+  const bundle = await makeBundle('P002', 'session-2');
+  const chunkCount = Math.ceil(bundle.blob.size / CHUNK_SIZE);
+  const { uploader, statuses } = makeUploader();
+
+  // The connection drops at the third chunk
+  const first = watchFetch((method, url) => method === 'PUT' && url.endsWith('/chunks/2'));
+  try {
+    await uploader.enqueue(bundle, settings(receiver.endpoint), { participantId: 'P002', sessionId: 'session-2' });
+  } finally {
+    first.restore();
+  }
+  assert.equal(statuses.at(-1).state, 'queued');
+  assert.match(statuses.at(-1).message, /Network error/);
+
+  const second = watchFetch();
+  try {
+    await uploader.flush();
+  } finally {
+    second.restore();
+    await receiver.close();
+  }
+  assert.equal(statuses.at(-1).state, 'done', statuses.at(-1).message);
+  const puts = second.requests.filter(r => r.method === 'PUT').map(r => Number(r.url.split('/').pop()));
+  assert.deepEqual(puts, Array.from({ length: chunkCount - 2 }, (_, i) => i + 2));
+
+  const stored = await fs.readFile(path.join(dir, 'P002', bundle.filename));
+  assert.deepEqual(new Uint8Array(stored), new Uint8Array(await bundle.blob.arrayBuffer()));
+});
+
+test('refuses a wrong token without retrying or storing anything', async () => {
+  const receiver = await startReceiver({ token: 'secret' });
+  const bundle = await makeBundle('P003', 'session-3');
+  const { uploader, statuses } = makeUploader();
+
+  const watched = watchFetch();
+  try {
+    await uploader.enqueue(bundle, settings(receiver.endpoint, { token: 'wrong', maxRetries: 3 }),
+      { participantId: 'P003', sessionId: 'session-3' });
+  } finally {
+    watched.restore();
+    await receiver.close();
+  }
+  const last = statuses.at(-1);
+  assert.equal(last.state, 'failed');
+  assert.match(last.message, /token/);
+  assert.equal(watched.requests.length, 1);
+  await assert.rejects(fs.access(path.join(dir, 'P003')), { code: 'ENOENT' });
+});
@@ -0,0 +1,93 @@
+#!/usr/bin/env node
+/* ============================================================
+   decrypt-bundle.mjs — Study Key Generation & Bundle Decryption
+   ============================================================
+   Companion to js/bundlecrypto.js (Node 18+, no dependencies).
+
+   Create the study key pair (once, on a trusted computer):
+     node tools/decrypt-bundle.mjs keygen [directory]
+   writes
+     study-private.pem   — keep it secret and backed up; without it
+                           the bundles can never be opened
+     study-public.json   — the "encryption" block for experiment.json
+
+   Decrypt exported bundles:
+     node tools/decrypt-bundle.mjs study-private.pem P001_2024-05-01.zip.enc [...]
+   writes P001_2024-05-01.zip next to each one (never overwriting).
+   ============================================================ */
+
+import fs from 'node:fs/promises';
+import path from 'node:path';
+import { webcrypto } from 'node:crypto';
+import {
+  decryptBundle, readBundleHeader, keyFingerprint, fromPEM, toPEM
+} from '../js/bundlecrypto.js';
+
+// Node 18 has Web Crypto, but not yet as a global
+globalThis.crypto ??= webcrypto;
+
+const RSA = { name: 'RSA-OAEP', hash: 'SHA-256' };
+
+async function keygen(dir = '.') {
+  const privatePath = path.join(dir, 'study-private.pem');
+  const publicPath = path.join(dir, 'study-public.json');
+  for (const file of [privatePath, publicPath]) {
+    if (await exists(file)) throw new Error(`${file} already exists; not overwriting a key.`);
+  }
+
+  const { publicKey, privateKey } = await crypto.subtle.generateKey(
+    { ...RSA, modulusLength: 3072, publicExponent: new Uint8Array([1, 0, 1]) },
+    true, ['encrypt', 'decrypt']);
+  const fingerprint = await keyFingerprint(publicKey);
+  const { kty, n, e } = await crypto.subtle.exportKey('jwk', publicKey);
+
+  await fs.mkdir(dir, { recursive: true });
+  await fs.writeFile(privatePath, toPEM(await crypto.subtle.exportKey('pkcs8', privateKey), 'PRIVATE KEY'),
+    { mode: 0o600 });
+  const block = { encryption: { keyId: `study-${fingerprint}`, publicKey: { kty, n, e } } };
+  await fs.writeFile(publicPath, JSON.stringify(block, null, 2) + '\n');
+
+  console.log(`Key ${fingerprint}:`);
+  console.log(`  ${privatePath}  — private; store it safely, never on the study device`);
+  console.log(`  ${publicPath}  — copy its "encryption" block into experiment.json`);
+}
+
+async function decrypt(keyPath, bundlePaths) {
+  if (bundlePaths.length === 0) usage();
+  const privateKey = await crypto.subtle.importKey(
+    'pkcs8', fromPEM(await fs.readFile(keyPath, 'utf8'), 'PRIVATE KEY'), RSA, false, ['decrypt']);
+
+  let failures = 0;
+  for (const bundlePath of bundlePaths) {
+    try {
+      const bytes = await fs.readFile(bundlePath);
+      const { header } = readBundleHeader(bytes);
+      const { zip } = await decryptBundle(bytes, privateKey);
+
+      const outPath = path.join(path.dirname(bundlePath), path.basename(header.filename || 'bundle.zip'));
+      if (await exists(outPath)) throw new Error(`${outPath} already exists.`);
+      await fs.writeFile(outPath, zip);
+      console.log(`${bundlePath} → ${outPath} (encrypted ${header.createdAt})`);
+    } catch (err) {
+      failures++;
+      console.error(`${bundlePath}: ${err.message}`);
+    }
+  }
+  if (failures > 0) process.exitCode = 1;
+}
+
+const exists = (file) => fs.access(file).then(() => true, () => false);
+
+function usage() {
+  console.error('Usage:\n' +
+    '  node tools/decrypt-bundle.mjs keygen [directory]\n' +
+    '  node tools/decrypt-bundle.mjs <study-private.pem> <bundle.zip.enc> [...]');
+  process.exit(2);
+}
+
+const [command, ...args] = process.argv.slice(2);
+if (!command) usage();
+(command === 'keygen' ? keygen(args[0]) : decrypt(command, args)).catch((err) => {
+  console.error(err.message);
+  process.exit(1);
+});